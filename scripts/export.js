@@ -0,0 +1,59 @@
+/**
+ * Export registrations to a CSV or XLSX file.
+ *
+ * Usage:
+ *   node scripts/export.js [--view registrations|settlement] [--format csv|xlsx]
+ *     [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--status captured,refunded]
+ *     [--city <city>] [--course <courseId>] [--columns orderId,amount,...] [--out <file>]
+ *
+ * The file defaults to <view>-<date>.<format> in the current directory.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const store = require('../src/storage');
+const { resolveExport, writeExport } = require('../src/services/exportService');
+
+function parseArgs(argv) {
+  const options = { filters: {} };
+  for (let i = 0; i < argv.length; i += 1) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--view': options.view = value; i += 1; break;
+      case '--format': options.format = value; i += 1; break;
+      case '--columns': options.columns = value; i += 1; break;
+      case '--out': options.out = value; i += 1; break;
+      case '--from': options.filters.from = value; i += 1; break;
+      case '--to': options.filters.to = value; i += 1; break;
+      case '--status': options.filters.status = value; i += 1; break;
+      case '--city': options.filters.city = value; i += 1; break;
+      case '--course': options.filters.courseId = value; i += 1; break;
+      default:
+        throw new Error(`Unknown option "${argv[i]}"`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const { out, ...options } = parseArgs(process.argv.slice(2));
+  const resolved = resolveExport(options);
+  // Read-only: the server's outbox keeps sending its own queued writes
+  await store.init({ readOnly: true });
+
+  const file = out || resolved.fileName;
+  const output = fs.createWriteStream(file);
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+
+  const count = await writeExport(output, resolved);
+  await finished;
+  console.log(`📤 Wrote ${count} row(s) to ${file}`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('❌ Export failed:', error.details ? `${error.message} ${JSON.stringify(error.details)}` : error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Convert registrations written before amounts were kept in minor units.
+ *
+ * Usage:
+ *   node scripts/migrateAmounts.js [--dry-run]
+ *
+ * Registrations used to store amount, discount, refunded_amount and balance
+ * in rupees; they are now in the currency's minor unit (paise, cents, yen).
+ * Run once when upgrading; the server does not start until it has finished.
+ * Progress is recorded in DATA_DIR/amount-migration.json: the first run's
+ * start time is the cutoff, and rows created after it are already in minor
+ * units so are never converted. Converted order ids are recorded row by row,
+ * so an interrupted run resumes without converting a row twice, and once
+ * every older row is converted the migration is marked done and never runs
+ * again.
+ *
+ * --dry-run  print what would change, write nothing
+ */
+require('dotenv').config();
+const store = require('../src/storage');
+const outbox = require('../src/services/sheetsOutbox');
+const { readMigrationState, writeMigrationState } = require('../src/services/amountMigration');
+const { toMinorUnits } = require('../src/utils/currency');
+
+const MONEY_FIELDS = ['amount', 'discount', 'refundedAmount', 'balance'];
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await store.init();
+
+  const previous = await readMigrationState();
+  if (previous?.migratedAt) {
+    console.log(`💱 Amounts were already migrated at ${previous.migratedAt}; nothing to do`);
+    process.exit(0);
+  }
+
+  // Rows created after the first run started are already in minor units
+  const state = previous || { cutoff: new Date().toISOString(), migratedAt: null, orderIds: [] };
+  const cutoff = Date.parse(state.cutoff);
+  if (!dryRun && !previous) await writeMigrationState(state);
+
+  const done = new Set(state.orderIds);
+  let converted = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const registration of await store.listRegistrations()) {
+    if (!registration.orderId || done.has(registration.orderId)) continue;
+
+    const createdAt = Date.parse(registration.createdAt);
+    if (Number.isNaN(createdAt)) {
+      console.log(`❌ ${registration.orderId}: cannot tell when it was created (createdAt=${registration.createdAt})`);
+      failed += 1;
+      continue;
+    }
+    if (createdAt >= cutoff) {
+      skipped += 1;
+      continue;
+    }
+
+    const changes = {};
+    const invalid = [];
+    for (const field of MONEY_FIELDS) {
+      const value = registration[field];
+      if (value === undefined || value === null || value === '') continue;
+      const minor = toMinorUnits(value, registration.currency);
+      if (minor === null) invalid.push(`${field}=${value}`);
+      else changes[field] = minor;
+    }
+
+    if (invalid.length > 0) {
+      console.log(`❌ ${registration.orderId}: cannot convert ${invalid.join(', ')} (${registration.currency || 'INR'})`);
+      failed += 1;
+      continue;
+    }
+
+    console.log(`${dryRun ? '🔎' : '✅'} ${registration.orderId}: ${JSON.stringify(changes)}`);
+    if (!dryRun) {
+      if (Object.keys(changes).length > 0) await store.updateRegistration(registration.orderId, changes);
+      // Recorded row by row, so an interrupted run can be resumed safely
+      done.add(registration.orderId);
+      await writeMigrationState({ ...state, orderIds: [...done] });
+    }
+    converted += 1;
+  }
+
+  // Failed rows keep the migration open (and the server stopped) until they are fixed and it is run again
+  if (!dryRun && failed === 0) {
+    await writeMigrationState({ ...state, migratedAt: new Date().toISOString(), orderIds: [...done] });
+  }
+  console.log(`💱 ${dryRun ? 'Would convert' : 'Converted'} ${converted} registration(s), skipped ${skipped} created after ${state.cutoff}, ${failed} failed`);
+
+  // Let queued sheet writes go out before exiting
+  await outbox.flush();
+  process.exit(failed ? 2 : 0);
+}
+
+main().catch((error) => {
+  console.error('❌ Amount migration failed:', error);
+  process.exit(1);
+});
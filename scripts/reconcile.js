@@ -0,0 +1,56 @@
+/**
+ * Reconcile registrations against Razorpay and print the discrepancy report.
+ *
+ * Usage:
+ *   node scripts/reconcile.js [--dry-run] [--days <n>] [--json]
+ *
+ * --dry-run  report only, do not correct statuses
+ * --days     lookback window (default RECONCILE_LOOKBACK_DAYS or 30)
+ * --json     print the full report as JSON
+ *
+ * The running server does the work (POST /api/admin/reconciliation at
+ * BASE_URL, authenticated with ADMIN_API_KEY), so corrections go through
+ * the same process as payments: its lifecycle listeners, invoice numbering
+ * and Sheets outbox.
+ *
+ * Exits 2 when discrepancies or errors were found, 1 when the server could
+ * not run it.
+ */
+require('dotenv').config();
+const { callAdminApi } = require('../src/utils/adminApi');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--json') options.json = true;
+    else if (argv[i] === '--days') options.lookbackDays = Number(argv[++i]);
+  }
+  return options;
+}
+
+async function main() {
+  const { json, ...options } = parseArgs(process.argv.slice(2));
+  const { report } = await callAdminApi('POST', '/api/admin/reconciliation', options);
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const item of report.corrected) {
+      console.log(`✅ ${item.orderId}: ${item.from} → ${item.to} (${item.paymentId})`);
+    }
+    for (const item of report.discrepancies) {
+      console.log(`⚠️ [${item.type}] ${item.orderId || '-'}: ${item.message}`);
+    }
+    for (const item of report.errors) {
+      console.log(`❌ ${item.orderId || 'payments list'}: ${item.error}`);
+    }
+  }
+
+  process.exit(report.discrepancies.length || report.errors.length ? 2 : 0);
+}
+
+main().catch((error) => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
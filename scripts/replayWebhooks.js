@@ -0,0 +1,42 @@
+/**
+ * Replay webhook events from the local event log.
+ *
+ * Usage:
+ *   node scripts/replayWebhooks.js [--event-id <id>] [--type <event>] [--outcome <outcome>]
+ *
+ * The running server replays them (POST /api/admin/webhook-replays at
+ * BASE_URL, authenticated with ADMIN_API_KEY), so the updates go through the
+ * process that owns the store: its lifecycle listeners and Sheets outbox.
+ */
+require('dotenv').config();
+const { callAdminApi } = require('../src/utils/adminApi');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { replayed } = await callAdminApi('POST', '/api/admin/webhook-replays', {
+    eventId: args['event-id'],
+    eventType: args.type,
+    outcome: args.outcome
+  });
+
+  console.log(`🔁 Replayed ${replayed.length} webhook event(s)`);
+  for (const item of replayed) {
+    const label = `${item.eventId || '(no id)'} ${item.eventType}`;
+    if (item.outcome === 'error') console.error(`❌ ${label}:`, item.error);
+    else console.log(`${item.outcome === 'processed' ? '✅' : '⏭️ '} ${label}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
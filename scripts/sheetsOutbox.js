@@ -0,0 +1,49 @@
+/**
+ * Inspect and manage the Google Sheets write outbox.
+ *
+ * Usage:
+ *   node scripts/sheetsOutbox.js status          - queue sizes
+ *   node scripts/sheetsOutbox.js dead-letters    - list items that could not be written
+ *   node scripts/sheetsOutbox.js retry [id]      - requeue one (or every) dead letter and flush
+ *   node scripts/sheetsOutbox.js flush           - send everything that is due now
+ *
+ * The running server owns the outbox (it keeps it in memory and saves it
+ * whole), so every command goes through its admin API (/api/admin/sheets-outbox
+ * at BASE_URL, authenticated with ADMIN_API_KEY) rather than the file.
+ */
+require('dotenv').config();
+const { callAdminApi } = require('../src/utils/adminApi');
+
+async function main() {
+  const [command = 'status', id] = process.argv.slice(2);
+
+  switch (command) {
+    case 'status':
+      console.log((await callAdminApi('GET', '/api/admin/sheets-outbox')).stats);
+      break;
+
+    case 'dead-letters':
+      console.log(JSON.stringify((await callAdminApi('GET', '/api/admin/sheets-outbox')).deadLetters, null, 2));
+      break;
+
+    case 'retry': {
+      const { requeued, stats } = await callAdminApi('POST', '/api/admin/sheets-outbox/retry', { id });
+      console.log(`🔁 Requeued ${requeued} item(s)`);
+      console.log(stats);
+      break;
+    }
+
+    case 'flush':
+      console.log((await callAdminApi('POST', '/api/admin/sheets-outbox/flush')).stats);
+      break;
+
+    default:
+      console.error(`Unknown command "${command}"`);
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Outbox command failed:', error.message);
+  process.exit(1);
+});
@@ -3,17 +3,20 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const cors = require('cors');
 const paymentRoutes = require('./routes/paymentRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const { errorHandler } = require('./middleware/errorHandler');
-const path = require('path');
+const { renderOutcomePage } = require('./services/outcomePageService');
 
 const app = express();
 
-// Serve static files from "public" folder
-app.use(express.static(path.join(__dirname, 'public')));
-
 // Optional: direct route for thank you page
-app.get('/thankyou', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'thankyou.html'));
+app.get('/thankyou', (req, res, next) => {
+  try {
+    const orderId = typeof req.query.order_id === 'string' ? req.query.order_id : undefined;
+    res.type('html').send(renderOutcomePage('success', { orderId }));
+  } catch (err) {
+    next(err);
+  }
 });
 
 // Security middleware
@@ -22,6 +25,10 @@ app.use(helmet());
 // Logging middleware
 app.use(morgan('dev'));
 
+// Razorpay webhooks are signed over the raw body, so keep it as a Buffer.
+// Must be registered before express.json(), which would otherwise consume it.
+app.use('/api/payment/webhook', express.raw({ type: '*/*', limit: '1mb' }));
+
 // Body parsing middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -71,6 +78,7 @@ app.use(cors(corsOptions));
 
 // API Routes
 app.use('/api/payment', paymentRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -116,9 +124,27 @@ app.get('*', (req, res) => {
     availableEndpoints: [
       'GET /health',
       'GET /thankyou',
-      'POST /api/payment/create',
+      'GET /api/payment/courses',
+      'POST /api/payment/validate-coupon',
+      'POST /api/payment/create-order',
+      'POST /api/payment/append-form',
       'POST /api/payment/verify-payment',
-      'POST /api/payment/webhook'
+      'GET /api/payment/status/:orderId',
+      'GET /api/payment/installments/:orderId',
+      'POST /api/payment/installments/:orderId/pay',
+      'POST /api/payment/webhook',
+      'GET /api/payment/receipts/:orderId',
+      'GET /api/admin/registrations',
+      'GET /api/admin/registrations/:orderId',
+      'PATCH /api/admin/registrations/:orderId',
+      'GET /api/admin/registrations/:orderId/receipt',
+      'GET /api/admin/registrations/:orderId/refunds',
+      'POST /api/admin/registrations/:orderId/refunds',
+      'GET /api/admin/courses/:courseId/seats',
+      'POST /api/admin/courses/:courseId/joining-details',
+      'GET /api/admin/reports/duplicates',
+      'GET /api/admin/reports/overdue-installments',
+      'GET /api/admin/exports/:view'
     ]
   });
 });
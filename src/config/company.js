@@ -0,0 +1,11 @@
+/**
+ * Business details shown to students (order notes, emails, invoices)
+ */
+module.exports = {
+  name: 'IACG MULTIMEDIA PRIVATE LIMITED',
+  shortName: 'IACG',
+  gstin: process.env.COMPANY_GSTIN || '',
+  address: process.env.COMPANY_ADDRESS || '',
+  supportEmail: process.env.EMAIL_REPLY_TO || 'info@iacg.co.in',
+  website: 'https://iacg.co.in'
+};
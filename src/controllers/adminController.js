@@ -0,0 +1,329 @@
+const HttpError = require('../utils/httpError');
+const { fromMinorUnits } = require('../utils/currency');
+const { issueRefund, listRefunds } = require('../services/refundService');
+const {
+  searchRegistrations,
+  getRegistrationDetails,
+  updateContactDetails
+} = require('../services/registrationService');
+const { resolveExport, writeExport } = require('../services/exportService');
+const { sendJoiningDetails } = require('../services/notificationService');
+const { getReceipt, createReceiptLink } = require('../services/invoiceService');
+const { getSeatSummary } = require('../services/seatService');
+const { findDuplicateGroups } = require('../services/duplicateService');
+const { listOverdueInstallments } = require('../services/installmentService');
+const { reconcile } = require('../services/reconciliationService');
+const { readEvents } = require('../services/webhookEventLog');
+const { processWebhookEvent } = require('./paymentController');
+const sheetsOutbox = require('../services/sheetsOutbox');
+
+/**
+ * List registrations
+ * query: { q, status, from, to, city, courseId, page, pageSize }
+ */
+exports.listRegistrations = async (req, res, next) => {
+  try {
+    res.json(await searchRegistrations(req.query));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * One registration with its payment history and refunds
+ * params: { orderId }
+ */
+exports.getRegistration = async (req, res, next) => {
+  try {
+    res.json(await getRegistrationDetails(req.params.orderId));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Edit a registration's contact fields
+ * params: { orderId }
+ * body: { name?, mobile?, email?, city?, messagingChannel? }
+ */
+exports.updateRegistration = async (req, res, next) => {
+  try {
+    const registration = await updateContactDetails(req.params.orderId, req.body || {}, {
+      updatedBy: req.admin.id
+    });
+    res.json({ registration });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Receipt PDF for a paid registration (issues its invoice if needed)
+ * params: { orderId }
+ * query: { format: pdf (default) | link } - link returns a signed download link to share
+ */
+exports.getReceipt = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { invoice, pdf, fileName } = await getReceipt(orderId);
+
+    if (req.query.format === 'link') {
+      const link = createReceiptLink(orderId);
+      if (!link) {
+        throw new HttpError(503, 'RECEIPT_SIGNING_SECRET is not configured', 'RECEIPT_LINKS_DISABLED');
+      }
+      return res.json({ invoiceNumber: invoice.number, link });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Issue a full or partial refund for a registration
+ * params: { orderId }
+ * body: { amount (in the registration currency's major unit, optional - defaults to the
+ *   refundable balance of the payment), installment (optional - which installment's payment,
+ *   default 1), reason }
+ */
+exports.createRefund = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, installment = 1, reason } = req.body || {};
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new HttpError(400, 'reason is required', 'VALIDATION_FAILED', { fields: { reason: 'is required' } });
+    }
+    if (!Number.isInteger(installment) || installment < 1) {
+      throw new HttpError(400, 'Invalid installment', 'VALIDATION_FAILED', { fields: { installment: 'must be an installment number' } });
+    }
+
+    const refund = await issueRefund(orderId, {
+      amount,
+      installment,
+      reason: reason.trim().slice(0, 250),
+      issuedBy: req.admin.id
+    });
+
+    res.status(201).json({
+      refund: {
+        id: refund.id,
+        amount: fromMinorUnits(refund.amount, refund.currency),
+        currency: refund.currency,
+        status: refund.status,
+        paymentId: refund.payment_id,
+        installment
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Refund records for a registration
+ * params: { orderId }
+ */
+exports.getRefunds = async (req, res, next) => {
+  try {
+    const refunds = await listRefunds(req.params.orderId);
+    res.json({
+      refunds: refunds.map((refund) => ({ ...refund, amount: fromMinorUnits(refund.amount, refund.currency) }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Stream registrations as CSV or XLSX
+ * params: { view: registrations | settlement }
+ * query: { format: csv | xlsx, columns, status, from, to, city, courseId, q }
+ */
+exports.exportRegistrations = async (req, res, next) => {
+  try {
+    const { format, columns, ...filters } = req.query;
+    const options = resolveExport({ view: req.params.view, format, columns, filters });
+
+    res.setHeader('Content-Type', options.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${options.fileName}"`);
+    const count = await writeExport(res, options);
+    console.log(`📤 ${req.admin.id} exported ${count} ${options.view} row(s) as ${options.format}`);
+  } catch (err) {
+    // Once rows have been sent the status can no longer change; cut the download short
+    if (res.headersSent) {
+      console.error('❌ Export failed mid-stream:', err);
+      return res.destroy(err);
+    }
+    next(err);
+  }
+};
+
+/**
+ * Message class-joining details to a course's paid, opted-in students
+ * params: { courseId }
+ * body: { link?, startDate?, schedule?, note?, resend? } - defaults to the catalog's course.joining
+ */
+exports.sendCourseJoiningDetails = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const details = Object.fromEntries(
+      ['link', 'startDate', 'schedule', 'note']
+        .filter((field) => typeof body[field] === 'string' && body[field].trim())
+        .map((field) => [field, body[field].trim().slice(0, 500)])
+    );
+    const counts = await sendJoiningDetails(req.params.courseId, { details, resend: body.resend === true });
+    console.log(`💬 ${req.admin.id} sent joining details for ${req.params.courseId}`);
+    res.json(counts);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Seats, active holds and waitlist of a course
+ * params: { courseId }
+ */
+exports.getCourseSeats = async (req, res, next) => {
+  try {
+    res.json(await getSeatSummary(req.params.courseId));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Likely duplicate registrations and double payments
+ * query: { courseId, doublePaymentsOnly }
+ */
+exports.getDuplicatesReport = async (req, res, next) => {
+  try {
+    res.json(await findDuplicateGroups({
+      courseId: req.query.courseId || undefined,
+      doublePaymentsOnly: req.query.doublePaymentsOnly === 'true'
+    }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Installments past their due date, most overdue first
+ * query: { courseId }
+ */
+exports.getOverdueInstallmentsReport = async (req, res, next) => {
+  try {
+    res.json(await listOverdueInstallments({ courseId: req.query.courseId || undefined }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Reconcile registrations against Razorpay now (what `npm run reconcile` calls)
+ * body: { dryRun, lookbackDays } - both optional
+ */
+exports.runReconciliation = async (req, res, next) => {
+  try {
+    const { dryRun = false, lookbackDays } = req.body || {};
+    if (lookbackDays !== undefined && !(Number.isInteger(lookbackDays) && lookbackDays > 0)) {
+      throw new HttpError(400, 'Invalid reconciliation options', 'VALIDATION_FAILED', {
+        fields: { lookbackDays: 'must be a whole number of days' }
+      });
+    }
+
+    console.log(`🧾 ${req.admin.id} started a reconciliation${dryRun === true ? ' (dry run)' : ''}`);
+    res.json({ report: await reconcile({ dryRun: dryRun === true, lookbackDays }) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Re-process logged webhook events (what `npm run replay-webhooks` calls), in
+ * the server so the updates reach its store, outbox and listeners
+ * body: { eventId, eventType, outcome } - filters, all optional
+ */
+exports.replayWebhooks = async (req, res, next) => {
+  try {
+    const filter = req.body || {};
+    const invalid = ['eventId', 'eventType', 'outcome'].filter((field) => filter[field] !== undefined && typeof filter[field] !== 'string');
+    if (invalid.length > 0) {
+      throw new HttpError(400, 'Invalid replay filter', 'VALIDATION_FAILED', {
+        fields: Object.fromEntries(invalid.map((field) => [field, 'must be a string']))
+      });
+    }
+
+    const events = (await readEvents({
+      eventId: filter.eventId,
+      eventType: filter.eventType,
+      outcome: filter.outcome
+    })).filter((entry) => !entry.outcome.startsWith('invalid_')); // Never replay unverified payloads
+
+    console.log(`🔁 ${req.admin.id} is replaying ${events.length} webhook event(s)`);
+    const replayed = [];
+    for (const entry of events) {
+      const item = { eventId: entry.eventId, eventType: entry.eventType, receivedAt: entry.receivedAt };
+      try {
+        item.outcome = (await processWebhookEvent(JSON.parse(entry.payload))) ? 'processed' : 'ignored';
+      } catch (error) {
+        console.error(`❌ Replaying ${entry.eventId || '(no id)'} ${entry.eventType} failed:`, error.message);
+        item.outcome = 'error';
+        item.error = error.message;
+      }
+      replayed.push(item);
+    }
+
+    res.json({ replayed });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Sheets write outbox: queue sizes and dead letters (what `npm run sheets-outbox` calls).
+ * Handled here because the server holds the outbox in memory and saves it whole
+ */
+exports.getSheetsOutbox = async (req, res, next) => {
+  try {
+    res.json({ stats: await sheetsOutbox.getStats(), deadLetters: await sheetsOutbox.listDeadLetters() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Requeue dead letters and send everything due
+ * body: { id } - dead-letter item to requeue; omit to requeue every one
+ */
+exports.retrySheetsOutbox = async (req, res, next) => {
+  try {
+    const { id } = req.body || {};
+    if (id !== undefined && typeof id !== 'string') {
+      throw new HttpError(400, 'Invalid dead-letter id', 'VALIDATION_FAILED', { fields: { id: 'must be a string' } });
+    }
+
+    const requeued = await sheetsOutbox.requeueDeadLetters(id);
+    console.log(`🔁 ${req.admin.id} requeued ${requeued} Sheets outbox item(s)`);
+    await sheetsOutbox.flush();
+    res.json({ requeued, stats: await sheetsOutbox.getStats() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Send every due outbox item now
+ */
+exports.flushSheetsOutbox = async (req, res, next) => {
+  try {
+    await sheetsOutbox.flush();
+    res.json({ stats: await sheetsOutbox.getStats() });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,51 +1,264 @@
-const crypto = require('crypto');
 const path = require('path');
 const razorpay = require('../utils/razorpayClient');
-const { appendRow, findRowByOrderId, updateRow } = require('../services/googleSheetsService');
+const store = require('../storage');
+const { recordEvent } = require('../services/webhookEventLog');
+const { runExclusive, hasProcessedEvent, markEventProcessed } = require('../services/idempotencyService');
+const { STATUS, normaliseStatus, hasReached, transition } = require('../services/paymentLifecycle');
+const { listCourses, coursePrices, priceCourse, resolvePurchasableCourse } = require('../services/catalogService');
+const { quoteCoupon } = require('../services/couponService');
+const {
+  CHECKOUT_EVENTS,
+  createCourseOrder,
+  registerStudent,
+  resolveCheckoutMode,
+  startCheckout,
+  findCheckoutOrderId,
+  linkCheckoutOrder,
+  resolveRegistrationOrderId,
+  handleCheckoutEvent
+} = require('../services/checkoutService');
+const { reserveSeat, renewHold, getSeatsLeft } = require('../services/seatService');
+const { findReusableRegistration } = require('../services/duplicateService');
+const {
+  resolveInstallmentPlan,
+  listInstallmentPlans,
+  findInstallmentOrder,
+  getInstallmentSummary,
+  startInstallmentPayment,
+  recordInstallmentPayment
+} = require('../services/installmentService');
+const { REFUND_EVENT_STATUS, handleRefundEvent } = require('../services/refundService');
+const { notifyRegistrationReceived } = require('../services/notificationService');
+const { verifyReceiptLink, getReceipt } = require('../services/invoiceService');
+const { outcomeForStatus, resolveRedirect } = require('../services/redirectService');
+const { renderOutcomePage } = require('../services/outcomePageService');
+const { createStatusToken, verifyStatusToken, getOrderStatus } = require('../services/orderStatusService');
+const HttpError = require('../utils/httpError');
+const { validateOrThrow } = require('../utils/validation');
+const { registrationFormSchema } = require('../validators/registrationForm');
+const { verifySignature } = require('../utils/signature');
+const { normaliseCurrency, fromMinorUnits } = require('../utils/currency');
 
 const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || null;
 
+// Lifecycle status for each handled webhook event
+const WEBHOOK_EVENT_STATUS = {
+  'payment.authorized': STATUS.AUTHORIZED,
+  'payment.captured': STATUS.CAPTURED,
+  'payment.failed': STATUS.FAILED
+};
+
+/**
+ * List courses open for registration, priced in the currency asked for where
+ * a course has it, else the country's currency, else the course's own.
+ * Amounts are in the currency's major unit.
+ * query: { currency, country } (both optional)
+ */
+exports.listCourses = async (req, res, next) => {
+  try {
+    const currency = normaliseCurrency(req.query.currency);
+    const country = req.query.country;
+    const active = listCourses({ activeOnly: true });
+    const seatsLeft = await getSeatsLeft(active);
+    const courses = active.map((course) => {
+      const prices = coursePrices(course);
+      const priced = priceCourse(course, { currency: prices[currency] ? currency : undefined, country });
+      return {
+        id: course.id,
+        name: course.name,
+        batch: course.batch,
+        amount: fromMinorUnits(priced.amount, priced.currency),
+        currency: priced.currency,
+        prices: Object.fromEntries(Object.entries(prices).map(([code, amount]) => [code, fromMinorUnits(amount, code)])),
+        seatsLeft: course.id in seatsLeft ? seatsLeft[course.id] : null, // null: no limit; 0: new registrations join the waitlist
+        installmentPlans: listInstallmentPlans(priced)
+      };
+    });
+    res.json({ courses });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Preview a coupon for a course
+ * body: { courseId, couponCode, email, currency, country } - currency and
+ * country pick the price as in appendForm; amounts are in its major unit
+ */
+exports.validateCoupon = async (req, res, next) => {
+  try {
+    const { courseId, couponCode, email, currency, country } = req.body;
+    const course = priceCourse(await resolvePurchasableCourse(courseId), { currency, country });
+    const quote = await quoteCoupon(couponCode, { course, email });
+
+    res.json({
+      code: quote.code,
+      originalAmount: fromMinorUnits(course.amount, course.currency),
+      discount: fromMinorUnits(quote.discount, course.currency),
+      amount: fromMinorUnits(quote.amount, course.currency),
+      currency: course.currency
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Create Razorpay order
- * body: { amount (number, INR rupees), currency (optional), notes (optional obj) }
+ * body: { courseId, couponCode, email, currency, country, notes (obj) }, all but courseId optional
+ * The amount always comes from the course catalog, in one of the course's
+ * currencies (see catalogService.priceCourse).
  */
 exports.createOrder = async (req, res, next) => {
   try {
-    const { amount, currency = 'INR', notes = {} } = req.body;
+    const { courseId, couponCode, email, currency, country, notes = {} } = req.body;
+    const course = priceCourse(await resolvePurchasableCourse(courseId), { currency, country });
 
-    if (!amount || isNaN(amount)) {
-      return res.status(400).json({ error: 'amount is required and must be a number' });
+    // Anyone can call this without student details, so the order holds no
+    // seat (it takes one when paid) and a full course is refused rather than waitlisted
+    if (course.seats && (await getSeatsLeft([course]))[course.id] === 0) {
+      throw new HttpError(409, `"${course.name}" is full`, 'COURSE_FULL');
     }
-
-    const amountInPaise = Math.round(Number(amount) * 100);
-    const options = {
-      amount: amountInPaise,
-      currency,
-      receipt: `rcpt_${Date.now()}`,
-      notes,
-    };
-
-    const order = await razorpay.orders.create(options);
+    const { order } = await createCourseOrder(course, { couponCode, email, notes });
     res.json({ order });
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * Redirect the student's browser to the configured page for an order's outcome
+ * (see redirectService); the registration supplies the course and campaign.
+ * A status token is only passed once Razorpay's signature has been checked:
+ * anyone can reach the cancel and failed-checkout redirects with any order id.
+ */
+function redirectToOutcome(res, outcome, orderId, registration, { statusToken } = {}) {
+  const url = resolveRedirect(outcome, {
+    orderId,
+    courseId: registration?.courseId,
+    campaign: registration?.campaign,
+    statusToken
+  });
+  console.log(`↪️ Redirecting order ${orderId || '(none)'} (${outcome}) to ${url}`);
+  return res.redirect(url);
+}
+
+function findRegistration(orderId) {
+  return orderId ? store.findByOrderId(orderId).catch(() => null) : null;
+}
+
+/**
+ * Order id from a failed checkout's callback. Razorpay posts
+ * error[code], error[description] and error[metadata] (JSON with order_id).
+ */
+function failedCheckoutOrderId(error) {
+  if (!error || typeof error !== 'object') return null;
+  try {
+    const metadata = typeof error.metadata === 'string' ? JSON.parse(error.metadata) : error.metadata;
+    return metadata?.order_id || null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+// Error codes verifyPayment reports before anything is recorded
+const VERIFY_FAILED_CODES = ['VALIDATION_FAILED', 'INVALID_SIGNATURE', 'PAYMENT_LINK_NOT_FOUND'];
+
+/**
+ * Whether the request comes from a student's browser (Razorpay's callback
+ * redirect) rather than an API client
+ */
+function wantsHtml(req) {
+  return req.accepts(['json', 'html']) === 'html';
+}
+
+/**
+ * Send a payment outcome page (see outcomePageService)
+ */
+function sendOutcomePage(res, status, page, context) {
+  return res.status(status).type('html').send(renderOutcomePage(page, context));
+}
+
+/**
+ * Registration order id for a Payment Link callback, after checking its
+ * signature. Razorpay redirects (GET) with razorpay_payment_link_id,
+ * razorpay_payment_link_reference_id, razorpay_payment_link_status,
+ * razorpay_payment_id and razorpay_signature.
+ */
+async function verifyPaymentLinkCallback(params) {
+  const {
+    razorpay_payment_link_id,
+    razorpay_payment_link_reference_id = '',
+    razorpay_payment_link_status,
+    razorpay_payment_id,
+    razorpay_signature
+  } = params;
+
+  const missing = ['razorpay_payment_link_status', 'razorpay_payment_id', 'razorpay_signature'].filter((field) => !params[field]);
+  if (missing.length > 0) {
+    throw new HttpError(400, 'Missing required fields', 'VALIDATION_FAILED', {
+      fields: Object.fromEntries(missing.map((field) => [field, 'is required']))
+    });
+  }
+
+  const signatureValid = verifySignature(
+    `${razorpay_payment_link_id}|${razorpay_payment_link_reference_id}|${razorpay_payment_link_status}|${razorpay_payment_id}`,
+    razorpay_signature,
+    process.env.RAZORPAY_KEY_SECRET
+  );
+  if (!signatureValid) {
+    throw new HttpError(400, 'Invalid signature', 'INVALID_SIGNATURE');
+  }
+
+  const orderId = await findCheckoutOrderId(razorpay_payment_link_id);
+  if (!orderId) {
+    throw new HttpError(404, `Payment link ${razorpay_payment_link_id} not found`, 'PAYMENT_LINK_NOT_FOUND');
+  }
+  return orderId;
+}
+
 /**
  * Verify payment from client handler
  * body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ * A failed checkout posts { error } instead; the student is sent to the
+ * failure page and the payment.failed webhook records the outcome.
+ * A Payment Link redirects here with its own parameters (see
+ * verifyPaymentLinkCallback) and is recorded against its registration.
+ * A later installment's order is recorded on its registration's schedule
+ * (see installmentService); orderId is then the registration's.
+ *
+ * Browsers are redirected to the outcome's page, or shown an outcome page
+ * when verification fails or the payment is already processed. API clients
+ * get { success, outcome, orderId, paymentId, status, alreadyProcessed,
+ * installment (number, for a later installment) }, or
+ * an error with code VALIDATION_FAILED, INVALID_SIGNATURE or
+ * PAYMENT_RECORDING_FAILED (the payment is valid but not yet recorded).
  */
 exports.verifyPayment = async (req, res, next) => {
+  const html = wantsHtml(req);
+  const params = (req.method === 'GET' ? req.query : req.body) || {};
+  const { razorpay_payment_id, razorpay_signature } = params;
+  let { razorpay_order_id } = params;
+  // Set once Razorpay's signature checks out; only then does the student get a status token
+  let verified = false;
+
   try {
     console.log('=== PAYMENT VERIFICATION START ===');
     console.log('Request method:', req.method);
     console.log('Request query:', req.query);
     console.log('Request body:', req.body);
 
-    // Handle both GET (callback redirect) and POST (manual verification)
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
-      req.method === 'GET' ? req.query : req.body;
+    const failedOrderId = failedCheckoutOrderId(params.error);
+    if (failedOrderId && !razorpay_signature) {
+      console.log('Checkout failed for order:', failedOrderId, params.error.description);
+      const orderId = (await findInstallmentOrder(failedOrderId))?.orderId || failedOrderId;
+      return redirectToOutcome(res, 'failed', orderId, await findRegistration(orderId));
+    }
+
+    if (params.razorpay_payment_link_id) {
+      razorpay_order_id = await verifyPaymentLinkCallback(params);
+      console.log('Payment link', params.razorpay_payment_link_id, 'is for order:', razorpay_order_id);
+    }
 
     console.log('Extracted values:', {
       razorpay_order_id,
@@ -53,24 +266,31 @@ exports.verifyPayment = async (req, res, next) => {
       razorpay_signature: razorpay_signature ? 'present' : 'missing'
     });
 
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      console.log('Missing required fields!');
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    if (!params.razorpay_payment_link_id) {
+      const missing = ['razorpay_order_id', 'razorpay_payment_id', 'razorpay_signature'].filter((field) => !params[field]);
+      if (missing.length > 0) {
+        console.log('Missing required fields!');
+        throw new HttpError(400, 'Missing required fields', 'VALIDATION_FAILED', {
+          fields: Object.fromEntries(missing.map((field) => [field, 'is required']))
+        });
+      }
 
-    // Verify signature
-    console.log('Verifying signature...');
-    const generated_signature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest('hex');
+      // Verify signature
+      console.log('Verifying signature...');
+      const signatureValid = verifySignature(
+        `${razorpay_order_id}|${razorpay_payment_id}`,
+        razorpay_signature,
+        process.env.RAZORPAY_KEY_SECRET
+      );
 
-    console.log('Signature match:', generated_signature === razorpay_signature);
+      console.log('Signature match:', signatureValid);
 
-    if (generated_signature !== razorpay_signature) {
-      console.log('Signature verification failed!');
-      return res.status(400).json({ success: false, error: 'Invalid signature' });
+      if (!signatureValid) {
+        console.log('Signature verification failed!');
+        throw new HttpError(400, 'Invalid signature', 'INVALID_SIGNATURE');
+      }
     }
+    verified = true;
 
     // Fetch payment details from Razorpay
     console.log('Fetching payment details from Razorpay...');
@@ -82,62 +302,154 @@ exports.verifyPayment = async (req, res, next) => {
       console.error('Error fetching payment details:', fetchError);
     }
 
-    // Update Google Sheet
-    console.log('Attempting to update Google Sheet...');
+    // A paid payment link has its own Razorpay order; later webhooks for it
+    // are recorded against the registration
+    if (params.razorpay_payment_link_id) {
+      await linkCheckoutOrder(paymentDetails?.order_id, razorpay_order_id);
+    }
+
+    // Update registration status
+    console.log('Updating registration status...');
+    let result;
+    let installment = null;
     try {
-      console.log('Searching for order ID:', razorpay_order_id);
-      const rowIndex = await findRowByOrderId(razorpay_order_id);
-      console.log('Row search result:', rowIndex);
-
-      if (rowIndex !== -1) {
-        const paymentData = [
-          paymentDetails?.amount ? paymentDetails.amount / 100 : 1, // G: amount in INR
-          paymentDetails?.currency || 'INR',                        // H
-          razorpay_payment_id,                                      // I
-          razorpay_order_id,                                        // J
-          paymentDetails?.status || 'captured',                     // K
-          new Date().toISOString()                                  // L
-        ];
-
-        console.log('Payment data to update:', paymentData);
-        console.log('Calling updateRow function...');
-
-        await updateRow(rowIndex, paymentData);
-        console.log(`✅ Successfully updated row ${rowIndex} with payment details`);
+      const payment = paymentDetails || { id: razorpay_payment_id, order_id: razorpay_order_id };
+      installment = await findInstallmentOrder(razorpay_order_id);
+      if (installment) {
+        result = await recordInstallmentPayment(razorpay_order_id, payment, { source: 'verify-payment' });
+        // From here on the order is the registration the installment belongs to
+        razorpay_order_id = installment.orderId;
       } else {
-        console.log('⚠️ Row not found, creating new one...');
-        const paymentRow = [
-          new Date().toISOString(),                                 // A
-          '',                                                        // B name
-          '',                                                        // C mobile
-          paymentDetails?.email || '',                               // D
-          '',                                                        // E city
-          '',                                                        // F exp
-          paymentDetails?.amount ? paymentDetails.amount / 100 : 1,  // G
-          paymentDetails?.currency || 'INR',                         // H
-          razorpay_payment_id,                                       // I
-          razorpay_order_id,                                         // J
-          paymentDetails?.status || 'captured',                      // K
-          new Date().toISOString()                                   // L
-        ];
-
-        console.log('Creating new row with data:', paymentRow);
-        await appendRow(paymentRow);
-        console.log('✅ Created new row for payment details');
+        result = await transition(razorpay_order_id, paymentDetails?.status || STATUS.CAPTURED, {
+          source: 'verify-payment',
+          payment
+        });
       }
     } catch (error) {
-      console.error('❌ Error updating spreadsheet:', error.message);
+      console.error('❌ Error updating registration:', error.message);
       console.error('Full error details:', error.stack);
-      throw error;
+      // The payment is genuine; the webhook or reconciliation records it later
+      throw new HttpError(503, 'Payment verified but not recorded yet', 'PAYMENT_RECORDING_FAILED', {
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id
+      });
     }
 
     console.log('=== PAYMENT VERIFICATION COMPLETE ===');
 
-    // Redirect to hosted Thank You page
-    return res.redirect('https://iacg.co.in/manga-art-thank-you-page/');
+    // A rejected transition (e.g. already captured) leaves the earlier status in place
+    const registration = await findRegistration(razorpay_order_id);
+    const status = normaliseStatus(registration?.status || (result.applied ? result.to : paymentDetails?.status));
+    const outcome = outcomeForStatus(status);
+    // The webhook may have recorded this payment first, further along than the
+    // fetched payment reads (captured while the fetch still says authorized)
+    const recorded = !installment
+      && registration?.paymentId === razorpay_payment_id
+      && hasReached(registration.status, paymentDetails?.status || STATUS.CAPTURED);
+    // Otherwise the order had already settled before this payment
+    const alreadyProcessed = ['unchanged', 'invalid_transition'].includes(result.reason) && !recorded;
+
+    if (!html) {
+      return res.json({
+        success: true,
+        outcome,
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        status,
+        alreadyProcessed,
+        ...(installment ? { installment: installment.number } : {})
+      });
+    }
+    const statusToken = createStatusToken(razorpay_order_id);
+    if (alreadyProcessed) {
+      return sendOutcomePage(res, 200, 'already_processed', { orderId: razorpay_order_id, registration, statusToken });
+    }
+    return redirectToOutcome(res, outcome, razorpay_order_id, registration, { statusToken });
 
   } catch (err) {
     console.error('❌ Payment verification error:', err);
+    if (!html) return next(err);
+
+    try {
+      const failed = VERIFY_FAILED_CODES.includes(err.code);
+      return sendOutcomePage(res, failed ? err.status : 202, failed ? 'failed' : 'pending', {
+        orderId: razorpay_order_id,
+        registration: await findRegistration(razorpay_order_id),
+        code: err.code || 'PAYMENT_RECORDING_FAILED',
+        statusToken: verified ? createStatusToken(razorpay_order_id) : undefined
+      });
+    } catch (pageError) {
+      next(pageError);
+    }
+  }
+};
+
+/**
+ * Current state of an order, for the thank-you page to poll until the
+ * webhook confirms the payment
+ * params: { orderId }
+ * query: { token } (or the x-status-token header), issued by appendForm
+ */
+exports.getPaymentStatus = async (req, res, next) => {
+  try {
+    const token = req.get('x-status-token') || req.query.token;
+    const status = await getOrderStatus(req.params.orderId, token);
+    res.set('Cache-Control', 'no-store');
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * A registration's installment schedule and balance, for its student
+ * params: { orderId }
+ * query: { token } (or the x-status-token header), issued by appendForm
+ */
+exports.getInstallments = async (req, res, next) => {
+  try {
+    verifyStatusToken(req.params.orderId, req.get('x-status-token') || req.query.token);
+    const summary = await getInstallmentSummary(req.params.orderId);
+    if (!summary) {
+      throw new HttpError(404, `Order ${req.params.orderId} is not on an installment plan`, 'NO_INSTALLMENT_PLAN');
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Pay a registration's next installment: returns the checkout link for the
+ * installment's own order
+ * params: { orderId }
+ * body: { token } (or the x-status-token header)
+ */
+exports.payInstallment = async (req, res, next) => {
+  try {
+    verifyStatusToken(req.params.orderId, req.get('x-status-token') || req.body?.token);
+    res.json(await startInstallmentPayment(req.params.orderId));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Download a payment receipt through a signed link (see invoiceService.createReceiptLink)
+ * params: { orderId }
+ * query: { expires, signature }
+ */
+exports.downloadReceipt = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    verifyReceiptLink(orderId, req.query);
+
+    const { pdf, fileName } = await getReceipt(orderId);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (err) {
     next(err);
   }
 };
@@ -153,33 +465,21 @@ exports.cancelPayment = async (req, res, next) => {
     // Get order_id from query parameters (Razorpay sends this)
     const { order_id } = req.query;
 
+    // Anyone can call this, so it only ever cancels an unpaid order that
+    // exists; a payment already authorized is left to the webhooks
     if (order_id) {
       try {
-        console.log('Searching for cancelled order:', order_id);
-        // Update the Google Sheet to mark as cancelled
-        const rowIndex = await findRowByOrderId(order_id);
-        if (rowIndex !== -1) {
-          const cancelData = [
-            '',              // G: amount (empty)
-            '',              // H: currency (empty)  
-            '',              // I: payment_id (empty)
-            order_id,        // J: order_id (keep existing)
-            'cancelled',     // K: status
-            new Date().toISOString() // L: cancellation timestamp
-          ];
-
-          await updateRow(rowIndex, cancelData);
-          console.log(`✅ Updated row ${rowIndex} - marked as cancelled`);
-        } else {
-          console.log('Order not found for cancellation:', order_id);
-        }
+        console.log('Marking order as cancelled:', order_id);
+        await transition(order_id, STATUS.CANCELLED, { source: 'cancel-payment', onlyFrom: [STATUS.CREATED] });
       } catch (error) {
         console.error('Error updating cancelled payment in spreadsheet:', error);
       }
     }
 
-    // Redirect to localhost frontend for cancelled payments
-    return res.redirect('http://localhost:5173/');
+    // Closing the checkout after paying (e.g. in another tab) keeps the paid outcome
+    const registration = await findRegistration(order_id);
+    const outcome = registration ? outcomeForStatus(registration.status) : 'cancelled';
+    return redirectToOutcome(res, outcome, order_id, registration);
 
   } catch (err) {
     console.error('Cancel payment error:', err);
@@ -189,282 +489,184 @@ exports.cancelPayment = async (req, res, next) => {
 
 /**
  * Enhanced Razorpay webhook handler with comprehensive payment status handling
+ * Expects the raw request body (see app.js) so the signature is checked
+ * against the exact bytes Razorpay signed.
  */
 exports.webhookHandler = async (req, res, next) => {
+  const receivedAt = new Date().toISOString();
+  const eventId = req.headers['x-razorpay-event-id'] || null;
+  const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  let event = null;
+
   try {
-    const payload = req.body;
     const signature = req.headers['x-razorpay-signature'];
 
     // Verify webhook signature for security
     if (RAZORPAY_WEBHOOK_SECRET) {
-      const generated = crypto.createHmac('sha256', RAZORPAY_WEBHOOK_SECRET).update(payload).digest('hex');
-      if (generated !== signature) {
+      if (!verifySignature(payload, signature, RAZORPAY_WEBHOOK_SECRET)) {
         console.warn('Invalid webhook signature');
+        await recordEvent({ eventId, payload, receivedAt, outcome: 'invalid_signature' });
         return res.status(400).send('invalid signature');
       }
     } else {
       console.warn('RAZORPAY_WEBHOOK_SECRET not set — skipping webhook signature verification');
     }
 
-    const event = JSON.parse(payload.toString());
-    console.log('Webhook received:', event.event, 'for payment:', event.payload?.payment?.entity?.id);
-
-    // Handle different payment events
-    switch (event.event) {
-      case 'payment.captured':
-        await handlePaymentCaptured(event.payload.payment.entity);
-        break;
-
-      case 'payment.failed':
-        await handlePaymentFailed(event.payload.payment.entity);
-        break;
-
-      case 'payment.pending':
-        await handlePaymentPending(event.payload.payment.entity);
-        break;
+    try {
+      event = JSON.parse(payload);
+    } catch (parseError) {
+      console.warn('Webhook payload is not valid JSON');
+      await recordEvent({ eventId, payload, receivedAt, outcome: 'invalid_payload' });
+      return res.status(400).send('invalid payload');
+    }
 
-      case 'payment.authorized':
-        await handlePaymentAuthorized(event.payload.payment.entity);
-        break;
+    console.log('Webhook received:', event.event, 'for payment:', event.payload?.payment?.entity?.id);
 
-      default:
-        console.log('Unhandled webhook event:', event.event);
+    // Razorpay retries deliveries; each event id is processed once
+    if (await hasProcessedEvent(eventId)) {
+      console.log(`⏭️ Webhook event ${eventId} already processed`);
+      await recordEvent({ eventId, eventType: event.event, payload, receivedAt, outcome: 'duplicate' });
+      return res.status(200).json({ ok: true, duplicate: true });
     }
 
+    const handled = await processWebhookEvent(event);
+    await markEventProcessed(eventId, event.event);
+    await recordEvent({
+      eventId,
+      eventType: event.event,
+      payload,
+      receivedAt,
+      outcome: handled ? 'processed' : 'ignored'
+    });
+
     res.status(200).json({ ok: true });
   } catch (err) {
     console.error('Webhook error:', err);
+    await recordEvent({
+      eventId,
+      eventType: event?.event,
+      payload,
+      receivedAt,
+      outcome: 'error',
+      error: err.message
+    });
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 };
 
-// Handle successful payment capture
-async function handlePaymentCaptured(payment) {
-  try {
-    const rowIndex = await findRowByOrderId(payment.order_id);
-    if (rowIndex !== -1) {
-      const paymentData = [
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'captured',
-        new Date().toISOString()
-      ];
-      await updateRow(rowIndex, paymentData);
-      console.log('✅ Payment captured - updated row:', rowIndex);
-
-      // Optional: Send confirmation email to user
-      // await sendPaymentConfirmationEmail(payment);
-    } else {
-      // Create new row if not found
-      const row = [
-        new Date().toISOString(),
-        '',
-        '',
-        payment?.email || '',
-        '',
-        '',
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'captured',
-        new Date().toISOString()
-      ];
-      await appendRow(row);
-      console.log('✅ Payment captured - created new row');
-    }
-  } catch (error) {
-    console.error('Error handling captured payment:', error);
+/**
+ * Dispatch a parsed webhook event to its handler.
+ * Also used to replay events from the webhook event log.
+ * @param {Object} event - Parsed Razorpay webhook body
+ * @returns {boolean} false when the event type is not handled
+ */
+async function processWebhookEvent(event) {
+  if (REFUND_EVENT_STATUS[event.event]) {
+    await handleRefundEvent(event);
+    return true;
   }
-}
 
-// Handle failed payments
-async function handlePaymentFailed(payment) {
-  try {
-    const rowIndex = await findRowByOrderId(payment.order_id);
-    if (rowIndex !== -1) {
-      const paymentData = [
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'failed',
-        new Date().toISOString()
-      ];
-      await updateRow(rowIndex, paymentData);
-      console.log('❌ Payment failed - updated row:', rowIndex);
-
-      // Optional: Send failure notification
-      // await sendPaymentFailureEmail(payment);
-    } else {
-      // Create new row for failed payment
-      const row = [
-        new Date().toISOString(),
-        '',
-        '',
-        payment?.email || '',
-        '',
-        '',
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'failed',
-        new Date().toISOString()
-      ];
-      await appendRow(row);
-      console.log('❌ Payment failed - created new row');
-    }
-  } catch (error) {
-    console.error('Error handling failed payment:', error);
+  if (CHECKOUT_EVENTS[event.event]) {
+    await handleCheckoutEvent(event);
+    return true;
   }
-}
 
-// Handle pending payments (amount deducted but not confirmed)
-async function handlePaymentPending(payment) {
-  try {
-    const rowIndex = await findRowByOrderId(payment.order_id);
-    if (rowIndex !== -1) {
-      const paymentData = [
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'pending',
-        new Date().toISOString()
-      ];
-      await updateRow(rowIndex, paymentData);
-      console.log('⏳ Payment pending - updated row:', rowIndex);
-
-      // Optional: Send pending payment notification
-      // await sendPaymentPendingEmail(payment);
-    } else {
-      // Create new row for pending payment
-      const row = [
-        new Date().toISOString(),
-        '',
-        '',
-        payment?.email || '',
-        '',
-        '',
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'pending',
-        new Date().toISOString()
-      ];
-      await appendRow(row);
-      console.log('⏳ Payment pending - created new row');
-    }
-  } catch (error) {
-    console.error('Error handling pending payment:', error);
+  const status = WEBHOOK_EVENT_STATUS[event.event];
+  if (!status) {
+    console.log('Unhandled webhook event:', event.event);
+    return false;
   }
-}
 
-// Handle authorized payments (amount blocked but not captured)
-async function handlePaymentAuthorized(payment) {
-  try {
-    const rowIndex = await findRowByOrderId(payment.order_id);
-    if (rowIndex !== -1) {
-      const paymentData = [
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'authorized',
-        new Date().toISOString()
-      ];
-      await updateRow(rowIndex, paymentData);
-      console.log('🔒 Payment authorized - updated row:', rowIndex);
-    } else {
-      // Create new row for authorized payment
-      const row = [
-        new Date().toISOString(),
-        '',
-        '',
-        payment?.email || '',
-        '',
-        '',
-        payment?.amount / 100,
-        payment?.currency || 'INR',
-        payment?.id || '',
-        payment?.order_id || '',
-        'authorized',
-        new Date().toISOString()
-      ];
-      await appendRow(row);
-      console.log('🔒 Payment authorized - created new row');
-    }
-  } catch (error) {
-    console.error('Error handling authorized payment:', error);
+  const payment = event.payload.payment.entity;
+  if (await findInstallmentOrder(payment.order_id)) {
+    await recordInstallmentPayment(payment.order_id, payment, { source: `webhook:${event.event}` });
+    return true;
   }
+
+  // Payment link and QR code payments carry their own order (or none)
+  const orderId = await resolveRegistrationOrderId(payment);
+  if (!orderId) {
+    console.log(`Payment ${payment.id} has no order, left to its payment_link / qr_code event`);
+    return false;
+  }
+  await transition(orderId, status, { source: `webhook:${event.event}`, payment });
+  return true;
 }
 
+exports.processWebhookEvent = processWebhookEvent;
+
 /**
- * Append form data to Google Sheets and create payment
+ * Save form data as a registration and create payment
+ * body: { formData, courseId, couponCode, campaign, checkoutMode, installmentPlan, currency } -
+ * the price is in currency when given (one of the course's prices), else in
+ * the currency of formData.country when the course has one, else the course's own;
+ * checkoutMode is one of CHECKOUT_MODES (default: the first), see checkoutService;
+ * installmentPlan is the id of one of the course's plans (default: pay in full),
+ * and the checkout is then for the first installment
+ * Responds { paymentLink, qrCode, checkoutMode, orderId, statusToken, reused };
+ * a QR checkout has qrCode { id, imageUrl, expiresAt } and no paymentLink.
  */
 exports.appendForm = async (req, res, next) => {
   try {
     const { formData = {} } = req.body || {};
 
-    if (Object.keys(formData).length === 0) {
+    if (!formData || typeof formData !== 'object' || Object.keys(formData).length === 0) {
       return res.status(400).send({ message: 'Form data is required' });
     }
 
-    const timestamp = new Date().toISOString();
-    const name = formData?.name || '';
-    const mobile = formData?.mobile || '';
-    const email = formData?.email || '';
-    const city = formData?.city || '';
-    const experience = formData?.experience || '';
-
-    // Create Razorpay order
-    // In your appendForm function in paymentController.js
-    const order = await razorpay.orders.create({
-      amount: 100,
-      currency: 'INR',
-      receipt: `rcpt_${Date.now()}`,
-      notes: {
-        name,
-        email,
-        mobile,
-        business_name: 'IACG MULTIMEDIA PRIVATE LIMITED' // Add this
+    const { campaign, ...student } = validateOrThrow(registrationFormSchema, {
+      ...formData,
+      campaign: req.body.campaign || formData.campaign
+    }, {
+      message: 'Invalid registration details'
+    });
+    const course = priceCourse(await resolvePurchasableCourse(req.body.courseId || formData?.courseId), {
+      currency: req.body.currency || formData?.currency,
+      country: student.country
+    });
+    const couponCode = req.body.couponCode || formData?.couponCode;
+    const checkoutMode = resolveCheckoutMode(req.body.checkoutMode || formData?.checkoutMode, course.currency);
+    const installmentPlan = resolveInstallmentPlan(course, req.body.installmentPlan || formData?.installmentPlan);
+
+    // One submission per course at a time, so a double-click cannot open two orders
+    const result = await runExclusive(`register:${course.id}`, async () => {
+      // A repeat submission gets the student's open order back; a paid one is refused
+      const existing = await findReusableRegistration(course, student, { couponCode, installmentPlan });
+      if (existing && await renewHold(course, existing.orderId)) {
+        return { order: { id: existing.orderId }, registration: existing, reused: true };
       }
+
+      // Holds a seat while the order is paid for, or joins the waitlist when full
+      const register = () => registerStudent(course, student, { couponCode, campaign, checkoutMode, installmentPlan });
+      return reserveSeat(course, student, register, {
+        couponCode,
+        campaign,
+        installmentPlan: installmentPlan?.id,
+        currency: course.currency
+      });
     });
 
+    if (result.waitlisted) {
+      return res.status(202).json({ waitlisted: true, waitlistId: result.entry.id, position: result.position });
+    }
+
+    const { order, registration, reused = false } = result;
+    const { paymentLink, qrCode } = await startCheckout(registration, checkoutMode);
 
-    if (!order) {
-      return res.status(500).send({ message: 'Failed to create Razorpay order' });
+    // Sent in the background so a slow mail server never delays checkout
+    if (!reused) {
+      notifyRegistrationReceived(registration, { paymentLink })
+        .catch((error) => console.error(`❌ Registration email failed for order ${order.id}:`, error));
     }
 
-    // Save form in Google Sheet
-    const row = [
-      timestamp,
-      name,
-      mobile,
-      email,
-      city,
-      experience,
-      '',
-      '',
-      '',
-      order.id,
-      'pending',
-      ''
-    ];
-    await appendRow(row);
-
-    console.log('Form data stored with order ID:', order.id);
-
-    // Build payment link with proper cancel URL
-    const callbackUrl = `${process.env.BASE_URL || 'http://localhost:5001'}/api/payment/verify-payment`;
-    const cancelUrl = `${process.env.BASE_URL || 'http://localhost:5001'}/api/payment/cancel-payment`;
-    const paymentLink = `https://api.razorpay.com/v1/checkout/embedded?order_id=${order.id}&key_id=${process.env.RAZORPAY_KEY_ID}&callback_url=${callbackUrl}&cancel_url=${cancelUrl}`;
-
-    res.json({ paymentLink });
+    res.json({
+      paymentLink,
+      qrCode,
+      checkoutMode,
+      orderId: order.id,
+      statusToken: createStatusToken(order.id),
+      reused
+    });
 
   } catch (err) {
     console.error(err);
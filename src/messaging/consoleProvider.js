@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Logs each message instead of sending it
+ */
+function createConsoleProvider() {
+  return {
+    name: 'console',
+
+    async send({ channel, to, template, text }) {
+      console.log(`💬 [${channel}] to ${to} (${template}):\n${text}`);
+      return { id: crypto.randomUUID() };
+    }
+  };
+}
+
+module.exports = { createConsoleProvider };
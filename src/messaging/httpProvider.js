@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * Generic HTTP provider: POST { channel, to, template, params, text } as JSON
+ * to MESSAGING_HTTP_URL (with MESSAGING_HTTP_TOKEN as a bearer token when set).
+ * A response body { id } is used as the provider message id.
+ * 408, 429 and 5xx responses and network errors may be retried; other
+ * statuses are final.
+ */
+function createHttpProvider({
+  url = process.env.MESSAGING_HTTP_URL,
+  token = process.env.MESSAGING_HTTP_TOKEN,
+  timeoutMs = Number(process.env.MESSAGING_HTTP_TIMEOUT_MS) || 10000
+} = {}) {
+  if (!url) {
+    throw new Error('MESSAGING_HTTP_URL is required for MESSAGING_PROVIDER=http');
+  }
+
+  return {
+    name: 'http',
+
+    async send(message) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`Messaging provider responded ${response.status}${body.error ? `: ${body.error}` : ''}`);
+        error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+        throw error;
+      }
+      return { id: body.id || crypto.randomUUID() };
+    }
+  };
+}
+
+module.exports = { createHttpProvider };
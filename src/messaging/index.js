@@ -0,0 +1,42 @@
+/**
+ * SMS / WhatsApp providers.
+ *
+ * MESSAGING_PROVIDER selects the provider:
+ *   http    - POSTs each message as JSON to MESSAGING_HTTP_URL; works as a stub
+ *             for local testing and as an adapter for gateways with a JSON API
+ *   console - logs messages, sends nothing
+ *   none    (default) - messaging disabled
+ *
+ * Every provider implements:
+ *   name
+ *   send({ channel, to, template, params, text }) -> { id }
+ *     channel  - 'whatsapp' | 'sms'
+ *     to       - E.164 number, e.g. +919876543210
+ *     template - template name (WhatsApp needs pre-approved templates)
+ *     params   - template values
+ *     text     - rendered message, for SMS and session messages
+ *   Errors with retryable === false (invalid number, rejected template) are
+ *   not retried.
+ */
+const { createHttpProvider } = require('./httpProvider');
+const { createConsoleProvider } = require('./consoleProvider');
+
+function createProvider() {
+  const name = (process.env.MESSAGING_PROVIDER || 'none').toLowerCase();
+
+  switch (name) {
+    case 'http':
+      return createHttpProvider();
+
+    case 'console':
+      return createConsoleProvider();
+
+    case 'none':
+      return null;
+
+    default:
+      throw new Error(`Unknown MESSAGING_PROVIDER "${name}". Use "http", "console" or "none".`);
+  }
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const HttpError = require('../utils/httpError');
+
+const MIN_SECRET_LENGTH = 32;
+// Values shipped in .env.example and older docs; anyone could guess them
+const PLACEHOLDER_SECRETS = ['change_me_long_random_key', 'some_random_string'];
+
+/**
+ * Admin API keys, as id → key.
+ * ADMIN_API_KEYS="asha:key1,ravi:key2" names each key so actions can be
+ * attributed.
+ */
+function loadApiKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.ADMIN_API_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    const id = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (id && key) keys.set(id, key);
+  }
+  return keys;
+}
+
+/**
+ * Check the admin keys and JWT secret at startup, so a placeholder or short
+ * value never guards /api/admin.
+ * @throws {Error} naming the offending key id
+ */
+exports.checkAdminCredentials = () => {
+  const secrets = [...loadApiKeys()].map(([id, key]) => [`ADMIN_API_KEYS key "${id}"`, key]);
+  if (process.env.ADMIN_JWT_SECRET) secrets.push(['ADMIN_JWT_SECRET', process.env.ADMIN_JWT_SECRET]);
+
+  for (const [name, secret] of secrets) {
+    if (PLACEHOLDER_SECRETS.includes(secret) || secret.toLowerCase().includes('change_me')) {
+      throw new Error(`${name} is the example placeholder; generate a random one (e.g. \`openssl rand -hex 32\`)`);
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+  }
+
+  if (process.env.API_WRITE_SECRET) {
+    console.warn('⚠️ API_WRITE_SECRET is no longer accepted as an admin key; add a named key to ADMIN_API_KEYS instead');
+  }
+  return secrets.length;
+};
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify an HS256 JWT signed with ADMIN_JWT_SECRET.
+ * The admin id is the "sub" claim; "exp" (seconds) is enforced when present.
+ * @param {string} token
+ * @returns {string|null} admin id, or null when the token is not valid
+ */
+function verifyJwt(token) {
+  const secret = process.env.ADMIN_JWT_SECRET;
+  const parts = token.split('.');
+  if (!secret || parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (alg !== 'HS256' || !claims.sub) return null;
+    if (claims.exp !== undefined && claims.exp * 1000 <= Date.now()) return null;
+    return String(claims.sub);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Credential from "x-api-key: <key>" or "Authorization: Bearer <key>"
+ */
+function readCredential(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Require a valid admin API key or JWT; sets req.admin = { id }
+ */
+exports.requireAdmin = (req, res, next) => {
+  const credential = readCredential(req);
+  if (!credential) {
+    return next(new HttpError(401, 'Admin credentials required', 'UNAUTHORIZED'));
+  }
+
+  for (const [id, key] of loadApiKeys()) {
+    if (safeEqual(credential, key)) {
+      req.admin = { id };
+      return next();
+    }
+  }
+
+  const jwtId = verifyJwt(credential);
+  if (jwtId) {
+    req.admin = { id: jwtId };
+    return next();
+  }
+
+  console.warn(`⚠️ Rejected admin request ${req.method} ${req.originalUrl}`);
+  return next(new HttpError(401, 'Invalid admin credentials', 'UNAUTHORIZED'));
+};
@@ -1,6 +1,13 @@
+const HttpError = require('../utils/httpError');
+
 exports.errorHandler = (err, req, res, next) => {
   console.error(err && err.stack ? err.stack : err);
   const status = err.status || 500;
   const message = err.message || 'Internal Server Error';
-  res.status(status).json({ success: false, error: message });
+  const body = { success: false, error: message };
+  if (err instanceof HttpError) {
+    body.code = err.code;
+    if (err.details) body.details = err.details;
+  }
+  res.status(status).json(body);
 };
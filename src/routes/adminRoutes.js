@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  listRegistrations,
+  getRegistration,
+  updateRegistration,
+  getReceipt,
+  createRefund,
+  getRefunds,
+  exportRegistrations,
+  sendCourseJoiningDetails,
+  getCourseSeats,
+  getDuplicatesReport,
+  getOverdueInstallmentsReport,
+  runReconciliation,
+  replayWebhooks,
+  getSheetsOutbox,
+  retrySheetsOutbox,
+  flushSheetsOutbox
+} = require('../controllers/adminController');
+
+// Every admin route needs an API key or JWT
+router.use(requireAdmin);
+
+// Registrations
+router.get('/registrations', listRegistrations);
+router.get('/registrations/:orderId', getRegistration);
+router.patch('/registrations/:orderId', updateRegistration);
+router.get('/registrations/:orderId/receipt', getReceipt);
+
+// Refunds
+router.get('/registrations/:orderId/refunds', getRefunds);
+router.post('/registrations/:orderId/refunds', createRefund);
+
+// Seats and waitlist
+router.get('/courses/:courseId/seats', getCourseSeats);
+
+// Student messages
+router.post('/courses/:courseId/joining-details', sendCourseJoiningDetails);
+
+// Reports
+router.get('/reports/duplicates', getDuplicatesReport);
+router.get('/reports/overdue-installments', getOverdueInstallmentsReport);
+
+// Reconciliation against Razorpay
+router.post('/reconciliation', runReconciliation);
+
+// Webhook event log
+router.post('/webhook-replays', replayWebhooks);
+
+// Sheets write outbox
+router.get('/sheets-outbox', getSheetsOutbox);
+router.post('/sheets-outbox/retry', retrySheetsOutbox);
+router.post('/sheets-outbox/flush', flushSheetsOutbox);
+
+// Exports (CSV / XLSX, streamed)
+router.get('/exports/:view', exportRegistrations);
+
+module.exports = router;
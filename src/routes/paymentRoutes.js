@@ -2,13 +2,21 @@ const express = require('express');
 const router = express.Router();
 
 const { 
+  listCourses,
+  validateCoupon,
   createOrder, 
   verifyPayment, 
   cancelPayment,  // Add this import
+  downloadReceipt,
+  getPaymentStatus,
+  getInstallments,
+  payInstallment,
   webhookHandler, 
   appendForm 
 } = require('../controllers/paymentController');
 
+router.get('/courses', listCourses);
+router.post('/validate-coupon', validateCoupon);
 router.post('/create-order', createOrder);
 router.post('/append-form', appendForm);
 router.post('/webhook', webhookHandler);
@@ -20,4 +28,14 @@ router.post('/verify-payment', verifyPayment);
 // Payment cancellation route
 router.get('/cancel-payment', cancelPayment);  // Add this line
 
+// Order status polling (per-order token from append-form)
+router.get('/status/:orderId', getPaymentStatus);
+
+// Installments (same per-order token)
+router.get('/installments/:orderId', getInstallments);
+router.post('/installments/:orderId/pay', payInstallment);
+
+// Receipts (signed links)
+router.get('/receipts/:orderId', downloadReceipt);
+
 module.exports = router;
@@ -1,5 +1,16 @@
 require('dotenv').config();
+require('./services/lifecycleListeners');
 const app = require('./app');
+const store = require('./storage');
+const reconciliation = require('./services/reconciliationService');
+const seats = require('./services/seatService');
+const installments = require('./services/installmentService');
+const { loadRedirectConfig } = require('./services/redirectService');
+const { getBaseUrl } = require('./utils/baseUrl');
+const { checkAmountMigration } = require('./services/amountMigration');
+const { getCheckoutModes } = require('./services/checkoutService');
+const { checkDefaultCourse } = require('./services/catalogService');
+const { checkAdminCredentials } = require('./middleware/adminAuth');
 
 const PORT = process.env.PORT || 3000;
 const HOST = '0.0.0.0';
@@ -9,45 +20,98 @@ console.log(`📍 Host: ${HOST}`);
 console.log(`🔌 Port: ${PORT}`);
 console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
 
-const server = app.listen(PORT, HOST, () => {
-  console.log('🚀 ===================================');
-  console.log(`🎨 Manga Art Course Backend Started`);
-  console.log(`📍 Host: ${HOST}`);
-  console.log(`🔌 Port: ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health Check: http://${HOST}:${PORT}/health`);
-  console.log(`📋 API Base: http://${HOST}:${PORT}/api/payment`);
-  console.log('🚀 ===================================');
-});
+let server = null;
 
-// Handle server errors
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`❌ Port ${PORT} is already in use`);
-    console.error('💡 This usually means duplicate server startup code exists');
+async function start() {
+  // Storage must be usable before serving (e.g. the sheet has its required headers)
+  try {
+    await store.init();
+  } catch (error) {
+    console.error('❌ Storage initialisation failed:', error.message);
     process.exit(1);
-  } else {
-    console.error('❌ Server error:', error);
+  }
+
+  // Registrations written before amounts were kept in minor units must be converted first
+  try {
+    await checkAmountMigration();
+  } catch (error) {
+    console.error('❌ Amount migration pending:', error.message);
     process.exit(1);
   }
-});
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('✅ Server closed successfully');
-    process.exit(0);
+  // Never serve /api/admin behind a guessable key
+  try {
+    checkAdminCredentials();
+  } catch (error) {
+    console.error('❌ Admin credentials invalid:', error.message);
+    process.exit(1);
+  }
+
+  // Fail fast on callback / redirect URLs, checkout modes and the default course rather than on the first checkout
+  try {
+    const redirects = loadRedirectConfig();
+    console.log(`↪️ Callbacks via ${getBaseUrl()}; redirects for ${redirects.environment}`);
+    console.log(`💳 Checkout modes: ${getCheckoutModes().join(', ')}`);
+    console.log(`📚 Registrations without a course go to ${checkDefaultCourse()}`);
+  } catch (error) {
+    console.error('❌ Checkout configuration invalid:', error.message);
+    process.exit(1);
+  }
+
+  // Seat counts come from data/seats.json; a course with a new seat limit
+  // gets its paid registrations counted here, before anyone can book
+  try {
+    await seats.sweepExpiredHolds();
+  } catch (error) {
+    console.error('❌ Counting seats failed:', error.message);
+    process.exit(1);
+  }
+
+  reconciliation.startSchedule();
+  seats.startSchedule();
+  installments.startSchedule();
+
+  server = app.listen(PORT, HOST, () => {
+    console.log('🚀 ===================================');
+    console.log(`🎨 Manga Art Course Backend Started`);
+    console.log(`📍 Host: ${HOST}`);
+    console.log(`🔌 Port: ${PORT}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔗 Health Check: http://${HOST}:${PORT}/health`);
+    console.log(`📋 API Base: http://${HOST}:${PORT}/api/payment`);
+    console.log('🚀 ===================================');
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
+  // Handle server errors
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`❌ Port ${PORT} is already in use`);
+      console.error('💡 This usually means duplicate server startup code exists');
+      process.exit(1);
+    } else {
+      console.error('❌ Server error:', error);
+      process.exit(1);
+    }
+  });
+
+  return server;
+}
+
+function shutdown(signal) {
+  console.log(`🛑 ${signal} received, shutting down gracefully`);
+  reconciliation.stopSchedule();
+  seats.stopSchedule();
+  installments.stopSchedule();
+  if (!server) process.exit(0);
   server.close(() => {
     console.log('✅ Server closed successfully');
     process.exit(0);
   });
-});
+}
+
+// Graceful shutdown handling
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Error handling for uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -60,4 +124,4 @@ process.on('unhandledRejection', (error) => {
   process.exit(1);
 });
 
-module.exports = server;
+module.exports = start();
@@ -0,0 +1,57 @@
+const store = require('../storage');
+const { readJson, writeJson } = require('../utils/fileStore');
+
+const MIGRATION_FILE = 'amount-migration.json';
+
+/**
+ * Progress of the one-off conversion of registration amounts from rupees to
+ * minor units (scripts/migrateAmounts.js), persisted in DATA_DIR as
+ *   { cutoff, migratedAt, orderIds }
+ * cutoff is when the first run started: only rows created before it can hold
+ * rupee amounts, so later rows are never converted. orderIds are the rows
+ * converted so far, and migratedAt is set once all of them are, after which
+ * the migration never runs again.
+ */
+async function readMigrationState() {
+  return readJson(MIGRATION_FILE, null);
+}
+
+async function writeMigrationState(state) {
+  await writeJson(MIGRATION_FILE, state);
+}
+
+async function hasRegistrations() {
+  for await (const registration of store.iterateRegistrations()) {
+    if (registration.orderId) return true;
+  }
+  return false;
+}
+
+/**
+ * Make sure amounts are in minor units before serving. A store with no
+ * registrations yet (a fresh install) has nothing to convert and is marked
+ * migrated here.
+ * @throws {Error} when older registrations have not been converted
+ */
+async function checkAmountMigration() {
+  const state = await readMigrationState();
+  if (state?.migratedAt) return;
+
+  if (!state && !(await hasRegistrations())) {
+    const now = new Date().toISOString();
+    await writeMigrationState({ cutoff: now, migratedAt: now, orderIds: [] });
+    return;
+  }
+
+  throw new Error(
+    state
+      ? `the amount migration started at ${state.cutoff} has not finished; run \`npm run migrate-amounts\` again`
+      : 'amounts are now stored in minor units (paise, cents); run `npm run migrate-amounts` once to convert existing registrations'
+  );
+}
+
+module.exports = {
+  readMigrationState,
+  writeMigrationState,
+  checkAmountMigration
+};
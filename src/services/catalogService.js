@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const HttpError = require('../utils/httpError');
+const { normaliseCurrency, isSupportedCurrency, isChargeable, minimumAmount } = require('../utils/currency');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'courses.json');
+const DEFAULT_COUNTRY_CURRENCIES_PATH = path.join(__dirname, '..', 'config', 'countryCurrencies.json');
+
+/**
+ * Course catalog. Each course:
+ *   { id, name, batch, amount (minor units, e.g. paise), currency, seats (optional limit), activeFrom, activeUntil,
+ *     prices (optional): { [currency]: amount in minor units } - prices in other currencies,
+ *     joining (optional): { link, startDate, schedule, note },
+ *     installmentPlans (optional): [{ id, name, installments: [{ percent, dueAfterDays | dueDate }] }] }
+ * Loaded from COURSE_CATALOG_PATH (JSON), defaulting to src/config/courses.json.
+ * Prices only ever come from here, never from the client.
+ */
+let catalog = null;
+let countryCurrencies = null;
+
+/**
+ * Check a course's prices: known currencies and amounts Razorpay can charge
+ * (at least one unit of the currency; three-decimal amounts ending in 0)
+ */
+function validatePrices(course, catalogPath) {
+  for (const [currency, amount] of Object.entries(coursePrices(course))) {
+    const where = `Price ${currency} of course ${course.id} in ${catalogPath}`;
+    if (currency !== normaliseCurrency(currency) || !isSupportedCurrency(currency)) {
+      throw new Error(`${where}: not an ISO 4217 currency code`);
+    }
+    if (!isChargeable(amount, currency) || amount < minimumAmount(currency)) {
+      throw new Error(`${where}: must be a chargeable amount in minor units, at least ${minimumAmount(currency)}`);
+    }
+  }
+}
+
+/**
+ * Check a course's installment plans: at least two installments each, whole
+ * percents adding up to 100, the first due at registration and each due
+ * either a number of days after registration or on a fixed date
+ */
+function validateInstallmentPlans(course, catalogPath) {
+  const ids = new Set();
+  for (const plan of course.installmentPlans || []) {
+    const where = `Installment plan "${plan.id}" of course ${course.id} in ${catalogPath}`;
+    if (!plan.id || ids.has(plan.id)) throw new Error(`${where}: needs a unique id`);
+    ids.add(plan.id);
+
+    const installments = plan.installments || [];
+    if (installments.length < 2) throw new Error(`${where}: needs at least two installments`);
+    const total = installments.reduce((sum, installment) => sum + installment.percent, 0);
+    if (!installments.every((installment) => Number.isInteger(installment.percent) && installment.percent > 0) || total !== 100) {
+      throw new Error(`${where}: percents must be positive whole numbers adding up to 100`);
+    }
+    if (installments[0].dueDate || installments[0].dueAfterDays) {
+      throw new Error(`${where}: the first installment is paid at registration and has no due date`);
+    }
+    for (const installment of installments.slice(1)) {
+      const validDays = Number.isInteger(installment.dueAfterDays) && installment.dueAfterDays > 0;
+      const validDate = !Number.isNaN(Date.parse(installment.dueDate));
+      if (validDays === validDate) throw new Error(`${where}: each later installment needs dueAfterDays or dueDate`);
+    }
+  }
+}
+
+function loadCatalog() {
+  if (catalog) return catalog;
+
+  const catalogPath = process.env.COURSE_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+  const courses = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+
+  for (const course of courses) {
+    if (!course.id || !Number.isInteger(course.amount) || course.amount <= 0 || !course.currency) {
+      throw new Error(`Invalid course in ${catalogPath}: needs id, a positive integer amount (minor units) and currency`);
+    }
+    validatePrices(course, catalogPath);
+    validateInstallmentPlans(course, catalogPath);
+  }
+
+  catalog = courses;
+  return catalog;
+}
+
+/**
+ * Country (ISO 3166 alpha-2) → currency map, loaded from
+ * COUNTRY_CURRENCIES_PATH (JSON), defaulting to src/config/countryCurrencies.json
+ */
+function loadCountryCurrencies() {
+  if (!countryCurrencies) {
+    const configPath = process.env.COUNTRY_CURRENCIES_PATH || DEFAULT_COUNTRY_CURRENCIES_PATH;
+    countryCurrencies = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+  return countryCurrencies;
+}
+
+/**
+ * A course's prices by currency, its default price included
+ * @param {Object} course
+ * @returns {Object<string, number>} Minor units
+ */
+function coursePrices(course) {
+  return { ...(course.prices || {}), [course.currency]: course.amount };
+}
+
+/**
+ * The course as priced in one currency: amount and currency replaced, the
+ * rest unchanged, so it can be passed wherever a catalog course is expected.
+ * The currency is the one asked for, else the student's country's when the
+ * course has a price in it, else the course's default.
+ * @param {Object} course
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency the student picked
+ * @param {string} [options.country] - Student's country (ISO alpha-2)
+ * @returns {Object} course
+ * @throws {HttpError} 400 CURRENCY_NOT_AVAILABLE when the course has no price in the currency asked for
+ */
+function priceCourse(course, { currency, country } = {}) {
+  const prices = coursePrices(course);
+  const requested = normaliseCurrency(currency);
+  if (requested && !(requested in prices)) {
+    throw new HttpError(400, `"${course.name}" cannot be paid in ${requested}`, 'CURRENCY_NOT_AVAILABLE', {
+      currencies: Object.keys(prices)
+    });
+  }
+
+  const countryCurrency = country ? loadCountryCurrencies()[String(country).toUpperCase()] : null;
+  const chosen = requested || (countryCurrency && prices[countryCurrency] ? countryCurrency : course.currency);
+  return { ...course, amount: prices[chosen], currency: chosen };
+}
+
+/**
+ * Whether a course is open for registration at a point in time
+ * @param {Object} course
+ * @param {Date} [at]
+ */
+function isActive(course, at = new Date()) {
+  if (course.activeFrom && at < new Date(course.activeFrom)) return false;
+  if (course.activeUntil && at > new Date(course.activeUntil)) return false;
+  return true;
+}
+
+/**
+ * Courses, optionally only those currently open
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly]
+ */
+function listCourses({ activeOnly = false } = {}) {
+  const courses = loadCatalog();
+  return activeOnly ? courses.filter((course) => isActive(course)) : courses;
+}
+
+/**
+ * Course by id, or null
+ * @param {string} courseId
+ */
+function getCourse(courseId) {
+  return loadCatalog().find((course) => course.id === courseId) || null;
+}
+
+/**
+ * Course used when a registration does not name one: DEFAULT_COURSE_ID, else
+ * the only course open for registration
+ * @returns {string|null} null when neither gives one
+ */
+function defaultCourseId() {
+  if (process.env.DEFAULT_COURSE_ID) return process.env.DEFAULT_COURSE_ID;
+  const active = listCourses({ activeOnly: true });
+  return active.length === 1 ? active[0].id : null;
+}
+
+/**
+ * Check at startup that registrations without a courseId (as the original
+ * frontend sends them) have a course to fall back to
+ * @returns {string} the default course id
+ * @throws {Error} DEFAULT_COURSE_ID is unknown, or unset while several courses (or none) are open
+ */
+function checkDefaultCourse() {
+  const id = defaultCourseId();
+  if (!id) {
+    throw new Error('DEFAULT_COURSE_ID must be set when the catalog does not have exactly one active course');
+  }
+  if (!getCourse(id)) {
+    throw new Error(`DEFAULT_COURSE_ID "${id}" is not in the course catalog`);
+  }
+  return id;
+}
+
+/**
+ * Resolve the course an order is being created for.
+ * Falls back to the default course (see defaultCourseId) when the client sends none.
+ * Seat limits are enforced by seatService.reserveSeat().
+ * @param {string} [courseId]
+ * @returns {Object} course
+ * @throws {HttpError} unknown or inactive course
+ */
+async function resolvePurchasableCourse(courseId) {
+  const id = courseId || defaultCourseId();
+  if (!id) {
+    throw new HttpError(400, 'courseId is required', 'COURSE_REQUIRED');
+  }
+
+  const course = getCourse(id);
+  if (!course) {
+    throw new HttpError(404, `Unknown course "${id}"`, 'COURSE_NOT_FOUND');
+  }
+  if (!isActive(course)) {
+    throw new HttpError(409, `Registrations for "${course.name}" are closed`, 'COURSE_INACTIVE');
+  }
+
+  return course;
+}
+
+module.exports = {
+  listCourses,
+  getCourse,
+  isActive,
+  coursePrices,
+  priceCourse,
+  checkDefaultCourse,
+  resolvePurchasableCourse
+};
@@ -0,0 +1,359 @@
+const razorpay = require('../utils/razorpayClient');
+const store = require('../storage');
+const company = require('../config/company');
+const HttpError = require('../utils/httpError');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { getBaseUrl } = require('../utils/baseUrl');
+const { buildPaymentLink } = require('../utils/paymentLink');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { runExclusive, getPaymentRecord } = require('./idempotencyService');
+const { getCourse } = require('./catalogService');
+const { STATUS, transition } = require('./paymentLifecycle');
+const { quoteCoupon, reserveCoupon } = require('./couponService');
+const { splitAmount, buildSchedule, saveSchedule, scheduleFields } = require('./installmentService');
+const { addRegistration } = require('./studentIndex');
+
+const CHECKOUTS_FILE = 'checkouts.json';
+const PAYMENT_LINK_EXPIRY_HOURS = Number(process.env.PAYMENT_LINK_EXPIRY_HOURS) || 72;
+const QR_CODE_EXPIRY_MINUTES = Number(process.env.QR_CODE_EXPIRY_MINUTES) || 30;
+
+/**
+ * How a registration is paid for:
+ *   embedded     - Razorpay's hosted checkout for the registration's order
+ *   payment_link - a Razorpay Payment Link, emailed / texted by Razorpay with
+ *                  reminders, expiring after PAYMENT_LINK_EXPIRY_HOURS
+ *   qr           - a single-use UPI QR code for the exact amount, for walk-in
+ *                  students at the centre, closing after QR_CODE_EXPIRY_MINUTES;
+ *                  UPI only takes INR
+ */
+const CHECKOUT_MODES = ['embedded', 'payment_link', 'qr'];
+
+/**
+ * Create a Razorpay order for a course, applying an optional coupon.
+ * The coupon is validated before the order exists and reserved against it
+ * afterwards (re-checking limits), so the amount is always server-side.
+ * With an installment plan the order is for the first installment only.
+ * @param {Object} course - Priced in the order's currency (see catalogService.priceCourse)
+ * @returns {{ order: Object, coupon: Object|null, total: number }} amounts in minor units
+ */
+async function createCourseOrder(course, { couponCode, email, notes = {}, installmentPlan = null }) {
+  const quote = couponCode ? await quoteCoupon(couponCode, { course, email }) : null;
+  const total = quote ? quote.amount : course.amount;
+
+  const order = await razorpay.orders.create({
+    amount: installmentPlan ? splitAmount(total, installmentPlan, course.currency)[0] : total,
+    currency: course.currency,
+    receipt: `rcpt_${Date.now()}`,
+    notes: {
+      ...notes,
+      course_id: course.id,
+      ...(quote ? { coupon_code: quote.code } : {}),
+      ...(installmentPlan ? { installment_plan: installmentPlan.id, installment: '1' } : {})
+    }
+  });
+
+  const coupon = quote ? await reserveCoupon(quote.code, { course, email, orderId: order.id }) : null;
+  return { order, coupon, total };
+}
+
+/**
+ * Create the Razorpay order and the registration for a student
+ * @param {Object} course - Priced in the student's currency (see catalogService.priceCourse)
+ * @param {Object} student - Validated form values: name, mobile, email, city, country, experience, messagingChannel
+ * @param {Object} [options]
+ * @param {string} [options.couponCode]
+ * @param {string} [options.campaign]
+ * @param {string} [options.checkoutMode] - See CHECKOUT_MODES
+ * @param {Object} [options.installmentPlan] - From installmentService.resolveInstallmentPlan()
+ * @returns {{ order: Object, registration: Object }}
+ */
+async function registerStudent(course, student, { couponCode, campaign, checkoutMode = 'embedded', installmentPlan = null } = {}) {
+  const { name, mobile, email, city, country, experience, messagingChannel } = student;
+
+  const { order, coupon, total } = await createCourseOrder(course, {
+    couponCode,
+    email,
+    installmentPlan,
+    notes: {
+      name,
+      email,
+      mobile,
+      business_name: company.name,
+      ...(campaign ? { campaign } : {})
+    }
+  });
+
+  if (!order) {
+    throw new HttpError(502, 'Failed to create Razorpay order', 'ORDER_CREATION_FAILED');
+  }
+
+  const createdAt = new Date().toISOString();
+  const schedule = installmentPlan
+    ? buildSchedule(installmentPlan, { orderId: order.id, courseId: course.id, currency: course.currency, total, createdAt })
+    : null;
+
+  const registration = await store.createRegistration({
+    orderId: order.id,
+    createdAt,
+    name,
+    mobile,
+    email,
+    city,
+    country: country || '',
+    experience,
+    messagingChannel: messagingChannel === 'none' ? '' : messagingChannel || '',
+    courseId: course.id,
+    campaign: campaign || '',
+    checkoutMode,
+    amount: order.amount, // minor units
+    currency: course.currency,
+    couponCode: coupon ? coupon.code : '',
+    discount: coupon ? coupon.discount : '',
+    ...(schedule ? scheduleFields(schedule) : {}),
+    status: STATUS.CREATED
+  });
+  if (schedule) await saveSchedule(schedule);
+  await addRegistration(registration);
+
+  console.log('Form data stored with order ID:', order.id);
+  return { order, registration };
+}
+
+/**
+ * Checkout modes enabled by CHECKOUT_MODES (comma separated); the first is
+ * the default
+ */
+function getCheckoutModes() {
+  const modes = (process.env.CHECKOUT_MODES || 'embedded')
+    .split(',')
+    .map((mode) => mode.trim())
+    .filter(Boolean);
+  const unknown = modes.filter((mode) => !CHECKOUT_MODES.includes(mode));
+  if (unknown.length > 0 || modes.length === 0) {
+    throw new Error(`Invalid CHECKOUT_MODES "${process.env.CHECKOUT_MODES}". Use any of: ${CHECKOUT_MODES.join(', ')}`);
+  }
+  return modes;
+}
+
+/**
+ * Pick the checkout mode for a registration. Without a requested mode it is
+ * the first enabled one that takes the currency.
+ * @param {string} [requested] - Mode asked for by the client
+ * @param {string} [currency] - Currency the registration is paid in
+ * @throws {HttpError} 400 when the mode is not enabled or cannot take the currency
+ */
+function resolveCheckoutMode(requested, currency = DEFAULT_CURRENCY) {
+  const modes = getCheckoutModes().filter((mode) => mode !== 'qr' || currency === 'INR');
+  if (!requested) {
+    if (modes.length === 0) {
+      // Only QR checkout is enabled
+      throw new HttpError(400, `Payments in ${currency} are not available`, 'CURRENCY_NOT_AVAILABLE', { currencies: ['INR'] });
+    }
+    return modes[0];
+  }
+  if (requested === 'qr' && currency !== 'INR' && getCheckoutModes().includes('qr')) {
+    throw new HttpError(400, 'Invalid checkout mode', 'VALIDATION_FAILED', {
+      fields: { checkoutMode: `qr is only available for INR payments, not ${currency}` }
+    });
+  }
+  if (!modes.includes(requested)) {
+    throw new HttpError(400, 'Invalid checkout mode', 'VALIDATION_FAILED', {
+      fields: { checkoutMode: `must be one of: ${modes.join(', ')}` }
+    });
+  }
+  return requested;
+}
+
+/**
+ * Payment links and QR codes, kept in DATA_DIR as
+ *   { checkouts: { [linkOrQrId]: { id, mode, orderId, url, expiresAt, status, createdAt } },
+ *     orders: { [razorpayOrderId]: orderId } }
+ * A link or QR code gets its own Razorpay order when paid; orders maps that
+ * back to the registration's order id.
+ */
+async function loadCheckouts() {
+  return readJson(CHECKOUTS_FILE, { checkouts: {}, orders: {} });
+}
+
+function updateCheckouts(fn) {
+  return runExclusive('checkouts', async () => {
+    const state = await loadCheckouts();
+    const result = await fn(state);
+    await writeJson(CHECKOUTS_FILE, state);
+    return result;
+  });
+}
+
+function describe(registration) {
+  const course = registration.courseId ? getCourse(registration.courseId) : null;
+  return course ? course.name : 'Manga Art Course';
+}
+
+async function createPaymentLink(registration) {
+  const expiresAt = Math.floor(Date.now() / 1000) + PAYMENT_LINK_EXPIRY_HOURS * 60 * 60;
+  const link = await razorpay.paymentLink.create({
+    amount: Number(registration.amount),
+    currency: registration.currency || DEFAULT_CURRENCY,
+    accept_partial: false,
+    description: describe(registration),
+    customer: { name: registration.name, email: registration.email, contact: registration.mobile },
+    notify: { sms: true, email: true },
+    reminder_enable: true,
+    expire_by: expiresAt,
+    notes: { registration_order_id: registration.orderId, course_id: registration.courseId || '' },
+    callback_url: `${getBaseUrl()}/api/payment/verify-payment`,
+    callback_method: 'get'
+  });
+  return { id: link.id, url: link.short_url, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+async function createQrCode(registration) {
+  const closeBy = Math.floor(Date.now() / 1000) + QR_CODE_EXPIRY_MINUTES * 60;
+  const qrCode = await razorpay.qrCode.create({
+    type: 'upi_qr',
+    name: company.shortName,
+    usage: 'single_use',
+    fixed_amount: true,
+    payment_amount: Number(registration.amount),
+    description: `${describe(registration)} - ${registration.orderId}`,
+    close_by: closeBy,
+    notes: { registration_order_id: registration.orderId, course_id: registration.courseId || '' }
+  });
+  return { id: qrCode.id, url: qrCode.image_url, expiresAt: new Date(closeBy * 1000).toISOString() };
+}
+
+const CREATORS = {
+  payment_link: createPaymentLink,
+  qr: createQrCode
+};
+
+/**
+ * Start paying for a registration in a checkout mode. An unexpired payment
+ * link or QR code already issued for the order is handed out again.
+ * @param {Object} registration
+ * @param {string} mode - See CHECKOUT_MODES
+ * @returns {{ checkoutMode, paymentLink: string|null, qrCode: { id, imageUrl, expiresAt }|null }}
+ */
+async function startCheckout(registration, mode) {
+  if (registration.checkoutMode !== mode) {
+    await store.updateRegistration(registration.orderId, { checkoutMode: mode });
+  }
+
+  if (mode === 'embedded') {
+    return { checkoutMode: mode, paymentLink: buildPaymentLink(registration.orderId), qrCode: null };
+  }
+
+  const checkout = await updateCheckouts(async (state) => {
+    const open = Object.values(state.checkouts).find((item) =>
+      item.orderId === registration.orderId && item.mode === mode &&
+      item.status === 'created' && new Date(item.expiresAt) > new Date());
+    if (open) return open;
+
+    const created = {
+      ...(await CREATORS[mode](registration)),
+      mode,
+      orderId: registration.orderId,
+      status: 'created',
+      createdAt: new Date().toISOString()
+    };
+    state.checkouts[created.id] = created;
+    console.log(`🔗 ${mode} ${created.id} created for order ${registration.orderId}`);
+    return created;
+  });
+
+  return mode === 'qr'
+    ? { checkoutMode: mode, paymentLink: null, qrCode: { id: checkout.id, imageUrl: checkout.url, expiresAt: checkout.expiresAt } }
+    : { checkoutMode: mode, paymentLink: checkout.url, qrCode: null };
+}
+
+/**
+ * Registration order id a payment link / QR code was issued for, or null
+ * @param {string} checkoutId - plink_... or qr_...
+ */
+async function findCheckoutOrderId(checkoutId) {
+  const { checkouts } = await loadCheckouts();
+  return checkouts[checkoutId]?.orderId || null;
+}
+
+/**
+ * Remember that a Razorpay order (created by a payment link when paid)
+ * belongs to a registration
+ * @param {string} razorpayOrderId
+ * @param {string} orderId - Registration order id
+ */
+async function linkCheckoutOrder(razorpayOrderId, orderId) {
+  if (!razorpayOrderId || razorpayOrderId === orderId) return;
+  await updateCheckouts(async (state) => {
+    state.orders[razorpayOrderId] = orderId;
+  });
+}
+
+/**
+ * Registration order id for a Razorpay payment: the registration a payment
+ * link / QR code was paid for, the order the payment was already recorded
+ * against, else the payment's own order
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {string|null}
+ */
+async function resolveRegistrationOrderId(payment) {
+  if (payment.notes?.registration_order_id) return payment.notes.registration_order_id;
+
+  const { orders } = await loadCheckouts();
+  if (payment.order_id && orders[payment.order_id]) return orders[payment.order_id];
+
+  const record = await getPaymentRecord(payment.id);
+  return record?.orderId || payment.order_id || null;
+}
+
+// Payment link and QR code webhooks, and the lifecycle status each leads to
+const CHECKOUT_EVENTS = {
+  'payment_link.paid': { status: 'paid', to: STATUS.CAPTURED },
+  'payment_link.expired': { status: 'expired', to: STATUS.CANCELLED },
+  'payment_link.cancelled': { status: 'cancelled', to: STATUS.CANCELLED },
+  'qr_code.credited': { status: 'paid', to: STATUS.CAPTURED },
+  'qr_code.closed': { status: 'closed', to: STATUS.CANCELLED },
+  'qr_code.created': { status: 'created', to: null }
+};
+
+/**
+ * Apply a payment_link.* / qr_code.* webhook to its registration
+ * @param {Object} event - Parsed Razorpay webhook body
+ */
+async function handleCheckoutEvent(event) {
+  const { status, to } = CHECKOUT_EVENTS[event.event];
+  const entity = (event.payload.payment_link || event.payload.qr_code).entity;
+  const payment = event.payload.payment?.entity || null;
+
+  // A QR code closes as "paid" after its credit; that is not a cancellation
+  if (event.event === 'qr_code.closed' && entity.close_reason === 'paid') return;
+
+  const orderId = entity.notes?.registration_order_id || await findCheckoutOrderId(entity.id);
+  if (!orderId) {
+    console.warn(`⚠️ ${event.event} for ${entity.id} matches no registration`);
+    return;
+  }
+
+  const razorpayOrderId = event.payload.order?.entity?.id || payment?.order_id;
+  await updateCheckouts(async (state) => {
+    if (state.checkouts[entity.id]) state.checkouts[entity.id].status = status;
+    if (razorpayOrderId && razorpayOrderId !== orderId) state.orders[razorpayOrderId] = orderId;
+  });
+
+  if (to) {
+    await transition(orderId, to, { source: `webhook:${event.event}`, payment });
+  }
+}
+
+module.exports = {
+  CHECKOUT_MODES,
+  CHECKOUT_EVENTS,
+  createCourseOrder,
+  registerStudent,
+  getCheckoutModes,
+  resolveCheckoutMode,
+  startCheckout,
+  findCheckoutOrderId,
+  linkCheckoutOrder,
+  resolveRegistrationOrderId,
+  handleCheckoutEvent
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const HttpError = require('../utils/httpError');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { DEFAULT_CURRENCY, minimumAmount, toChargeable } = require('../utils/currency');
+const { runExclusive } = require('./idempotencyService');
+const { STATUS, onTransition } = require('./paymentLifecycle');
+
+const DEFAULT_COUPONS_PATH = path.join(__dirname, '..', 'config', 'coupons.json');
+const REDEMPTIONS_FILE = 'coupon-redemptions.json';
+// An unpaid order stops holding its coupon use after this long
+const RESERVATION_HOURS = Number(process.env.COUPON_RESERVATION_HOURS) || 24;
+
+/**
+ * Coupon codes. Each coupon:
+ *   { code, type: 'percent' | 'flat', value (percent, or minor units for flat),
+ *     currency (flat only, default INR: it applies to prices in that currency),
+ *     courses (ids, or null for all), validFrom, expiresAt,
+ *     maxUses, maxUsesPerEmail, active }
+ * Loaded from COUPONS_PATH (JSON), defaulting to src/config/coupons.json.
+ *
+ * Redemptions are kept in DATA_DIR: reserved when an order is created,
+ * redeemed on capture and released when the payment fails or is cancelled.
+ * Redeemed ones count towards the usage limits, and so do reserved ones for
+ * COUPON_RESERVATION_HOURS, so abandoned orders give their use back.
+ */
+let coupons = null;
+let redemptions = null;
+
+function loadCoupons() {
+  if (!coupons) {
+    const couponsPath = process.env.COUPONS_PATH || DEFAULT_COUPONS_PATH;
+    coupons = JSON.parse(fs.readFileSync(couponsPath, 'utf8'));
+  }
+  return coupons;
+}
+
+async function loadRedemptions() {
+  if (!redemptions) {
+    redemptions = await readJson(REDEMPTIONS_FILE, []);
+  }
+  return redemptions;
+}
+
+function normaliseCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normaliseEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function findCoupon(code) {
+  return loadCoupons().find((coupon) => normaliseCode(coupon.code) === code) || null;
+}
+
+function countsTowardsLimits(redemption, now) {
+  if (redemption.status === 'redeemed') return true;
+  return redemption.status === 'reserved' &&
+    now.getTime() - new Date(redemption.at).getTime() < RESERVATION_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Discount in minor units for an amount, never taking it below Razorpay's
+ * minimum order and rounded so what is left can be charged in the currency
+ */
+function computeDiscount(coupon, amount, currency) {
+  const raw = coupon.type === 'percent'
+    ? Math.round((amount * coupon.value) / 100)
+    : coupon.value;
+  return Math.max(0, Math.min(toChargeable(raw, currency), amount - minimumAmount(currency)));
+}
+
+/**
+ * Validate a coupon for a course and student and price it.
+ * @param {string} code
+ * @param {Object} context
+ * @param {Object} context.course - Catalog course, priced in the order's currency
+ * @param {string} context.email - Student email, for per-email limits
+ * @returns {{ code: string, discount: number, amount: number }} minor units
+ * @throws {HttpError} unknown, inactive, expired, not applicable or used up
+ */
+async function quoteCoupon(code, { course, email }) {
+  const normalised = normaliseCode(code);
+  const coupon = findCoupon(normalised);
+  const now = new Date();
+
+  if (!coupon || coupon.active === false) {
+    throw new HttpError(400, `Coupon "${normalised}" is not valid`, 'COUPON_INVALID');
+  }
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw new HttpError(400, `Coupon "${normalised}" is not active yet`, 'COUPON_NOT_STARTED');
+  }
+  if (coupon.expiresAt && now > new Date(coupon.expiresAt)) {
+    throw new HttpError(400, `Coupon "${normalised}" has expired`, 'COUPON_EXPIRED');
+  }
+  if (Array.isArray(coupon.courses) && !coupon.courses.includes(course.id)) {
+    throw new HttpError(400, `Coupon "${normalised}" does not apply to ${course.name}`, 'COUPON_NOT_APPLICABLE');
+  }
+  if (coupon.type === 'flat' && (coupon.currency || DEFAULT_CURRENCY) !== course.currency) {
+    throw new HttpError(400, `Coupon "${normalised}" does not apply to payments in ${course.currency}`, 'COUPON_NOT_APPLICABLE');
+  }
+
+  const active = (await loadRedemptions()).filter((redemption) =>
+    redemption.code === normalised && countsTowardsLimits(redemption, now)
+  );
+  if (coupon.maxUses && active.length >= coupon.maxUses) {
+    throw new HttpError(409, `Coupon "${normalised}" has been fully used`, 'COUPON_EXHAUSTED');
+  }
+  const studentEmail = normaliseEmail(email);
+  if (coupon.maxUsesPerEmail && active.filter((redemption) => redemption.email === studentEmail).length >= coupon.maxUsesPerEmail) {
+    throw new HttpError(409, `Coupon "${normalised}" has already been used with this email`, 'COUPON_EMAIL_LIMIT');
+  }
+
+  const discount = computeDiscount(coupon, course.amount, course.currency);
+  return { code: normalised, discount, amount: course.amount - discount };
+}
+
+/**
+ * Re-validate and reserve a coupon for a new order. Runs exclusively per
+ * code so two students cannot both take the last use.
+ * @param {string} code
+ * @param {Object} context
+ * @param {Object} context.course
+ * @param {string} context.email
+ * @param {string} context.orderId
+ * @returns {{ code: string, discount: number, amount: number }} minor units
+ */
+function reserveCoupon(code, { course, email, orderId }) {
+  const normalised = normaliseCode(code);
+  return runExclusive(`coupon:${normalised}`, async () => {
+    const quote = await quoteCoupon(normalised, { course, email });
+    const all = await loadRedemptions();
+    all.push({
+      code: normalised,
+      email: normaliseEmail(email),
+      orderId,
+      courseId: course.id,
+      discount: quote.discount,
+      currency: course.currency,
+      status: 'reserved',
+      at: new Date().toISOString()
+    });
+    await writeJson(REDEMPTIONS_FILE, all);
+    return quote;
+  });
+}
+
+async function setRedemptionStatus(orderId, status) {
+  const all = await loadRedemptions();
+  const redemption = all.find((entry) => entry.orderId === orderId);
+  if (!redemption || redemption.status === status) return;
+  // A paid order keeps its use
+  if (status === 'released' && redemption.status === 'redeemed') return;
+
+  redemption.status = status;
+  redemption.at = new Date().toISOString();
+  await writeJson(REDEMPTIONS_FILE, all);
+  console.log(`🎟️ Coupon ${redemption.code} ${status} for order ${orderId}`);
+}
+
+// Keep redemptions in step with the registration lifecycle
+onTransition(async ({ orderId, to }) => {
+  if (to === STATUS.CAPTURED) {
+    await setRedemptionStatus(orderId, 'redeemed');
+  } else if (to === STATUS.FAILED || to === STATUS.CANCELLED) {
+    // Retrying the same order after this reserves nothing; a capture still redeems it
+    await setRedemptionStatus(orderId, 'released');
+  }
+});
+
+module.exports = {
+  quoteCoupon,
+  reserveCoupon
+};
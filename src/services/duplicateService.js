@@ -0,0 +1,161 @@
+const razorpay = require('../utils/razorpayClient');
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { STATUS, normaliseStatus } = require('./paymentLifecycle');
+const { fromMinorUnits } = require('../utils/currency');
+const { splitAmount } = require('./installmentService');
+const { normaliseEmail, normaliseMobile, findOrderIds } = require('./studentIndex');
+
+const REUSE_HOURS = Number(process.env.REGISTRATION_REUSE_HOURS) || 24;
+
+// A registration in one of these has been paid for
+const PAID_STATUSES = [STATUS.AUTHORIZED, STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED];
+// Orders that can still be paid (a failed or cancelled checkout can be retried)
+const OPEN_STATUSES = [STATUS.CREATED, STATUS.FAILED, STATUS.CANCELLED];
+
+function sameStudent(registration, { email, mobile }) {
+  const registeredEmail = normaliseEmail(registration.email);
+  const registeredMobile = normaliseMobile(registration.mobile);
+  return (registeredEmail && registeredEmail === normaliseEmail(email)) ||
+    (registeredMobile.length === 10 && registeredMobile === normaliseMobile(mobile));
+}
+
+function newestFirst(a, b) {
+  return String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+/**
+ * Whether an open registration's order can be handed out again: recent, on
+ * the same installment plan, in the same currency, at today's price (or with
+ * the coupon being asked for) and not paid at Razorpay in the meantime
+ */
+async function canReuse(registration, course, { couponCode, installmentPlan }) {
+  const ageHours = (Date.now() - new Date(registration.createdAt).getTime()) / (60 * 60 * 1000);
+  if (!(ageHours < REUSE_HOURS)) return false;
+  if ((registration.installmentPlan || '') !== (installmentPlan ? installmentPlan.id : '')) return false;
+  if (registration.currency !== course.currency) return false;
+
+  const existingCoupon = String(registration.couponCode || '').toUpperCase();
+  if (couponCode && String(couponCode).trim().toUpperCase() !== existingCoupon) return false;
+  const price = installmentPlan ? splitAmount(course.amount, installmentPlan, course.currency)[0] : course.amount;
+  if (!existingCoupon && Number(registration.amount) !== price) return false;
+
+  try {
+    const order = await razorpay.orders.fetch(registration.orderId);
+    return order.status !== 'paid';
+  } catch (error) {
+    console.warn(`⚠️ Could not check order ${registration.orderId} for reuse:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Check a new registration against the student's earlier ones for the same
+ * course, matched by email or mobile through the student index (see
+ * studentIndex.js), never a read of every registration
+ * @param {Object} course - Priced in the student's currency (see catalogService.priceCourse)
+ * @param {Object} student - Validated form values (email, mobile)
+ * @param {Object} [options]
+ * @param {string} [options.couponCode]
+ * @param {Object} [options.installmentPlan]
+ * @returns {Object|null} Open registration whose order can be reused, or null to register anew
+ * @throws {HttpError} 409 ALREADY_PAID when the student has paid for the course
+ *   (without the order id: anyone can submit someone else's email)
+ */
+async function findReusableRegistration(course, student, { couponCode, installmentPlan = null } = {}) {
+  const orderIds = await findOrderIds(course.id, student);
+  const matches = (await Promise.all(orderIds.map((orderId) => store.findByOrderId(orderId))))
+    .filter((registration) => registration && registration.courseId === course.id && sameStudent(registration, student))
+    .sort(newestFirst);
+
+  const paid = matches.find((registration) => PAID_STATUSES.includes(normaliseStatus(registration.status)));
+  if (paid) {
+    console.warn(`⚠️ ${student.email} tried to register again for ${course.id}, already paid on order ${paid.orderId}`);
+    throw new HttpError(409, `You have already paid for "${course.name}"`, 'ALREADY_PAID');
+  }
+
+  const open = matches.find((registration) => OPEN_STATUSES.includes(normaliseStatus(registration.status)));
+  if (open && await canReuse(open, course, { couponCode, installmentPlan })) {
+    console.log(`♻️ Reusing order ${open.orderId} for ${student.email}`);
+    return open;
+  }
+  return null;
+}
+
+/**
+ * Likely duplicate registrations: groups of registrations for the same
+ * course sharing an email or mobile (directly or through each other)
+ * @param {Object} [options]
+ * @param {string} [options.courseId]
+ * @param {boolean} [options.doublePaymentsOnly] - Only groups paid more than once
+ * @returns {{ groups: Array, summary: { groups, registrations, doublePayments } }}
+ */
+async function findDuplicateGroups({ courseId, doublePaymentsOnly = false } = {}) {
+  const registrations = (await store.listRegistrations())
+    .filter((registration) => registration.orderId && (!courseId || registration.courseId === courseId));
+
+  // Union-find over registrations linked by course + email or course + mobile
+  const parent = registrations.map((registration, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  const firstByKey = new Map();
+  registrations.forEach((registration, index) => {
+    const email = normaliseEmail(registration.email);
+    const mobile = normaliseMobile(registration.mobile);
+    const keys = [
+      email && `${registration.courseId}|email|${email}`,
+      mobile.length === 10 && `${registration.courseId}|mobile|${mobile}`
+    ].filter(Boolean);
+    for (const key of keys) {
+      if (firstByKey.has(key)) parent[root(index)] = root(firstByKey.get(key));
+      else firstByKey.set(key, index);
+    }
+  });
+
+  const byRoot = new Map();
+  registrations.forEach((registration, index) => {
+    const key = root(index);
+    if (!byRoot.has(key)) byRoot.set(key, []);
+    byRoot.get(key).push(registration);
+  });
+
+  const groups = [...byRoot.values()]
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const sorted = members.sort(newestFirst);
+      const paidCount = sorted.filter((registration) => PAID_STATUSES.includes(normaliseStatus(registration.status))).length;
+      return {
+        courseId: sorted[0].courseId,
+        emails: [...new Set(sorted.map((registration) => normaliseEmail(registration.email)).filter(Boolean))],
+        mobiles: [...new Set(sorted.map((registration) => normaliseMobile(registration.mobile)).filter(Boolean))],
+        paidCount,
+        doublePayment: paidCount > 1,
+        registrations: sorted.map(({ orderId, name, status, amount, currency, paymentId, createdAt }) => ({
+          orderId,
+          name,
+          status: normaliseStatus(status),
+          amount: fromMinorUnits(amount, currency),
+          currency,
+          paymentId: paymentId || null,
+          createdAt
+        }))
+      };
+    })
+    .filter((group) => !doublePaymentsOnly || group.doublePayment)
+    // Double payments (money to return) first, then the most recent activity
+    .sort((a, b) => Number(b.doublePayment) - Number(a.doublePayment) ||
+      String(b.registrations[0].createdAt || '').localeCompare(String(a.registrations[0].createdAt || '')));
+
+  return {
+    groups,
+    summary: {
+      groups: groups.length,
+      registrations: groups.reduce((total, group) => total + group.registrations.length, 0),
+      doublePayments: groups.filter((group) => group.doublePayment).length
+    }
+  };
+}
+
+module.exports = {
+  findReusableRegistration,
+  findDuplicateGroups
+};
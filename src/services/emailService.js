@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { appendJsonLine, readJsonLines } = require('../utils/fileStore');
+
+const EMAIL_LOG_FILE = 'email-log.jsonl';
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.EMAIL_RETRY_DELAY_MS) || 5000;
+
+let transport = null;
+let transportReady = false;
+
+/**
+ * Mail transport chosen by EMAIL_TRANSPORT:
+ *   smtp (default when SMTP_HOST is set) - any SMTP server, including a local
+ *                                          capture server (MailHog, smtp4dev) in tests
+ *   json                                 - render only, nothing leaves the process
+ *   none (default otherwise)             - sending disabled; attempts are logged as skipped
+ */
+function createTransport() {
+  const kind = (process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none')).toLowerCase();
+
+  switch (kind) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+
+    case 'none':
+      return null;
+
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${kind}". Use "smtp", "json" or "none".`);
+  }
+}
+
+function getTransport() {
+  if (!transportReady) {
+    transport = createTransport();
+    transportReady = true;
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (any object with nodemailer's sendMail(message))
+ * @param {Object|null} custom - null disables sending
+ */
+function setTransport(custom) {
+  transport = custom || null;
+  transportReady = true;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send an email, retrying failures with a growing delay.
+ * Every attempt (sent, failed or skipped) is appended to data/email-log.jsonl.
+ * Never throws; the outcome is in the result.
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} message.text
+ * @param {Array} [message.attachments] - nodemailer attachments
+ * @param {string} [message.template] - Template name, for the log
+ * @param {string} [message.orderId] - For the log
+ * @returns {{ id, status: 'sent' | 'failed' | 'skipped', attempts, messageId?, error? }}
+ */
+async function sendEmail({ to, subject, html, text, attachments, template, orderId }) {
+  const id = crypto.randomUUID();
+  const entry = { id, template, orderId, to, subject };
+  const mailer = getTransport();
+
+  if (!mailer) {
+    await appendJsonLine(EMAIL_LOG_FILE, { ...entry, attempt: 0, status: 'skipped', error: 'Email transport disabled', at: new Date().toISOString() });
+    return { id, status: 'skipped', attempts: 0 };
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    try {
+      const info = await mailer.sendMail({
+        from: process.env.EMAIL_FROM || 'IACG Multimedia <no-reply@iacg.co.in>',
+        replyTo: process.env.EMAIL_REPLY_TO || undefined,
+        to,
+        subject,
+        html,
+        text,
+        attachments
+      });
+      await appendJsonLine(EMAIL_LOG_FILE, { ...entry, attempt, status: 'sent', messageId: info.messageId, at: new Date().toISOString() });
+      console.log(`📧 ${template || 'Email'} sent to ${to}${orderId ? ` for order ${orderId}` : ''}`);
+      return { id, status: 'sent', attempts: attempt, messageId: info.messageId };
+    } catch (error) {
+      lastError = error;
+      await appendJsonLine(EMAIL_LOG_FILE, { ...entry, attempt, status: 'failed', error: error.message, at: new Date().toISOString() });
+      console.error(`❌ ${template || 'Email'} to ${to} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+      if (attempt < MAX_ATTEMPTS) await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  return { id, status: 'failed', attempts: MAX_ATTEMPTS, error: lastError.message };
+}
+
+/**
+ * Logged send attempts, oldest first
+ * @param {Object} [filter] - { orderId, template, status }
+ */
+async function listEmailLog(filter = {}) {
+  const entries = await readJsonLines(EMAIL_LOG_FILE);
+  return entries.filter((entry) =>
+    Object.entries(filter).every(([key, value]) => value === undefined || entry[key] === value)
+  );
+}
+
+module.exports = {
+  sendEmail,
+  listEmailLog,
+  setTransport
+};
@@ -0,0 +1,301 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { gstBreakup } = require('../utils/gst');
+const { fromMinorUnits } = require('../utils/currency');
+const { STATUS, normaliseStatus } = require('./paymentLifecycle');
+const { createRegistrationFilter } = require('./registrationService');
+const { listSchedules } = require('./installmentService');
+const { listInvoices } = require('./invoiceService');
+const { refundedByPayment } = require('./refundService');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const SETTLED_STATUSES = [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED, STATUS.REFUNDED];
+
+/**
+ * Settlement line for one payment of a registration, with the GST split of
+ * what it charged
+ * @param {Object} registration
+ * @param {Object} payment - { orderId, paymentId, invoiceNumber, statusUpdatedAt, status,
+ *   gross, discount, refunded (minor units), installment }
+ */
+function settlementRecord(registration, payment) {
+  const gst = gstBreakup(payment.gross);
+  const major = (amount) => fromMinorUnits(amount, registration.currency);
+  return {
+    ...registration,
+    registrationOrderId: registration.orderId,
+    orderId: payment.orderId,
+    paymentId: payment.paymentId,
+    invoiceNumber: payment.invoiceNumber,
+    statusUpdatedAt: payment.statusUpdatedAt,
+    status: payment.status,
+    installment: payment.installment,
+    grossAmount: major(payment.gross),
+    discount: major(payment.discount),
+    taxableValue: major(gst.taxable),
+    gstRate: gst.rate,
+    cgst: major(gst.cgst),
+    sgst: major(gst.sgst),
+    igst: major(gst.igst),
+    gstAmount: major(gst.tax),
+    refundedAmount: major(payment.refunded),
+    netAmount: major(payment.gross - payment.refunded)
+  };
+}
+
+// Status of one installment payment from what was refunded of it
+function paymentStatus(gross, refunded) {
+  if (refunded <= 0) return STATUS.CAPTURED;
+  return refunded >= gross ? STATUS.REFUNDED : STATUS.PARTIALLY_REFUNDED;
+}
+
+/**
+ * Export views. Each maps a registration to a record whose keys are the
+ * view's columns (key → header), or to several with toRecords (given what
+ * prepare() read once per export); amounts are in the major unit of the
+ * registration's currency (rupees, dollars, ...), stored ones being minor units.
+ */
+const VIEWS = {
+  registrations: {
+    columns: {
+      orderId: 'Order ID',
+      createdAt: 'Created At',
+      name: 'Name',
+      mobile: 'Mobile',
+      email: 'Email',
+      city: 'City',
+      country: 'Country',
+      experience: 'Experience',
+      courseId: 'Course ID',
+      campaign: 'Campaign',
+      checkoutMode: 'Checkout Mode',
+      amount: 'Amount',
+      currency: 'Currency',
+      couponCode: 'Coupon Code',
+      discount: 'Discount',
+      paymentId: 'Payment ID',
+      status: 'Status',
+      statusUpdatedAt: 'Status Updated At',
+      refundedAmount: 'Refunded Amount',
+      refundId: 'Refund ID',
+      refundStatus: 'Refund Status',
+      invoiceNumber: 'Invoice Number',
+      installmentPlan: 'Installment Plan',
+      balance: 'Balance Due',
+      nextDueDate: 'Next Due Date'
+    },
+    defaultColumns: [
+      'orderId', 'createdAt', 'name', 'mobile', 'email', 'city', 'courseId',
+      'amount', 'currency', 'paymentId', 'status', 'statusUpdatedAt'
+    ],
+    include: () => true,
+    toRecord: (registration) => ({
+      ...registration,
+      status: normaliseStatus(registration.status),
+      amount: fromMinorUnits(registration.amount, registration.currency),
+      discount: fromMinorUnits(registration.discount, registration.currency),
+      refundedAmount: fromMinorUnits(registration.refundedAmount, registration.currency),
+      balance: fromMinorUnits(registration.balance, registration.currency)
+    })
+  },
+
+  // One line per captured payment (each installment is its own payment), with
+  // the GST split of what it charged (see utils/gst.js)
+  settlement: {
+    columns: {
+      invoiceNumber: 'Invoice Number',
+      orderId: 'Order ID',
+      registrationOrderId: 'Registration Order ID',
+      paymentId: 'Payment ID',
+      installment: 'Installment',
+      createdAt: 'Created At',
+      statusUpdatedAt: 'Status Updated At',
+      status: 'Status',
+      name: 'Name',
+      email: 'Email',
+      city: 'City',
+      courseId: 'Course ID',
+      currency: 'Currency',
+      grossAmount: 'Gross Amount',
+      discount: 'Discount',
+      taxableValue: 'Taxable Value',
+      gstRate: 'GST Rate %',
+      cgst: 'CGST',
+      sgst: 'SGST',
+      igst: 'IGST',
+      gstAmount: 'GST Amount',
+      refundedAmount: 'Refunded Amount',
+      netAmount: 'Net Amount'
+    },
+    defaultColumns: [
+      'invoiceNumber', 'orderId', 'paymentId', 'installment', 'statusUpdatedAt', 'status', 'name', 'courseId', 'currency',
+      'grossAmount', 'discount', 'taxableValue', 'gstRate', 'cgst', 'sgst', 'igst',
+      'gstAmount', 'refundedAmount', 'netAmount'
+    ],
+    include: (registration) => SETTLED_STATUSES.includes(normaliseStatus(registration.status)),
+    prepare: async () => {
+      const [schedules, invoices, refunded] = await Promise.all([listSchedules(), listInvoices(), refundedByPayment()]);
+      return { schedules, invoices, refunded };
+    },
+    toRecords: (registration, { schedules, invoices, refunded }) => {
+      const first = {
+        orderId: registration.orderId,
+        paymentId: registration.paymentId,
+        invoiceNumber: registration.invoiceNumber,
+        statusUpdatedAt: registration.statusUpdatedAt,
+        status: normaliseStatus(registration.status),
+        gross: Number(registration.amount || 0),
+        discount: Number(registration.discount || 0),
+        refunded: Number(registration.refundedAmount || 0)
+      };
+      const schedule = schedules[registration.orderId];
+      if (!schedule) return [settlementRecord(registration, first)];
+
+      // refundedAmount covers every installment; each line shows its own payment's refunds
+      const firstRefunded = refunded.get(registration.paymentId) || 0;
+      const later = schedule.installments
+        .filter((installment) => installment.number > 1 && installment.status === 'paid')
+        .map((installment) => {
+          const refundedAmount = refunded.get(installment.paymentId) || 0;
+          return settlementRecord(registration, {
+            orderId: installment.orderId,
+            paymentId: installment.paymentId,
+            invoiceNumber: invoices[installment.orderId]?.number || '',
+            statusUpdatedAt: installment.paidAt,
+            status: paymentStatus(installment.amount, refundedAmount),
+            gross: installment.amount,
+            discount: 0,
+            refunded: refundedAmount,
+            installment: installment.number
+          });
+        });
+      return [
+        settlementRecord(registration, {
+          ...first,
+          status: paymentStatus(first.gross, firstRefunded),
+          refunded: firstRefunded,
+          installment: 1
+        }),
+        ...later
+      ];
+    }
+  }
+};
+
+/**
+ * Validate export options before anything is written
+ * @param {Object} options
+ * @param {string} [options.view] - registrations (default) or settlement
+ * @param {string} [options.format] - csv (default) or xlsx
+ * @param {string|Array} [options.columns] - Column keys (comma separated); defaults per view
+ * @param {Object} [options.filters] - See registrationService.createRegistrationFilter()
+ * @returns {Object} Resolved options for writeExport()
+ * @throws {HttpError} unknown view, format or columns, or invalid filters
+ */
+function resolveExport({ view = 'registrations', format = 'csv', columns, filters = {} } = {}) {
+  const fields = {};
+  const definition = VIEWS[view];
+  if (!definition) fields.view = `must be one of: ${Object.keys(VIEWS).join(', ')}`;
+  if (!FORMATS[format]) fields.format = `must be one of: ${Object.keys(FORMATS).join(', ')}`;
+
+  let selected = [];
+  if (definition) {
+    selected = columns
+      ? (Array.isArray(columns) ? columns : String(columns).split(',')).map((column) => column.trim()).filter(Boolean)
+      : definition.defaultColumns;
+    const unknown = selected.filter((column) => !definition.columns[column]);
+    if (unknown.length > 0 || selected.length === 0) {
+      fields.columns = `must be a list of: ${Object.keys(definition.columns).join(', ')}`;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Invalid export options', 'VALIDATION_FAILED', { fields });
+  }
+
+  return {
+    view,
+    format,
+    columns: selected,
+    matchesFilters: createRegistrationFilter(filters),
+    contentType: FORMATS[format].contentType,
+    fileName: `${view}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`
+  };
+}
+
+/**
+ * Quote a CSV field; text that spreadsheet apps would run as a formula is
+ * prefixed with an apostrophe
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Registrations matching the export, one record at a time
+ */
+async function* exportRecords({ view, columns, matchesFilters }) {
+  const definition = VIEWS[view];
+  const context = definition.prepare ? await definition.prepare() : {};
+  for await (const registration of store.iterateRegistrations()) {
+    if (!definition.include(registration) || !matchesFilters(registration)) continue;
+    const records = definition.toRecords ? definition.toRecords(registration, context) : [definition.toRecord(registration)];
+    for (const record of records) {
+      yield columns.map((column) => (record[column] === undefined ? '' : record[column]));
+    }
+  }
+}
+
+/**
+ * Stream an export to a writable (an HTTP response or a file) and end it.
+ * Rows are read from the store page by page and written as they arrive, in
+ * storage order.
+ * @param {stream.Writable} output
+ * @param {Object} options - From resolveExport()
+ * @returns {number} Rows written
+ */
+async function writeExport(output, options) {
+  const headers = options.columns.map((column) => VIEWS[options.view].columns[column]);
+  let count = 0;
+
+  if (options.format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(options.view);
+    sheet.columns = options.columns.map((column, index) => ({ header: headers[index], key: column, width: 20 }));
+
+    for await (const values of exportRecords(options)) {
+      sheet.addRow(values).commit();
+      count += 1;
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  // BOM so Excel reads the file as UTF-8 (₹, non-Latin names)
+  output.write(`\uFEFF${headers.map(csvField).join(',')}\r\n`);
+  for await (const values of exportRecords(options)) {
+    if (!output.write(`${values.map(csvField).join(',')}\r\n`)) {
+      await once(output, 'drain');
+    }
+    count += 1;
+  }
+  output.end();
+  return count;
+}
+
+module.exports = {
+  VIEWS,
+  FORMATS,
+  resolveExport,
+  writeExport
+};
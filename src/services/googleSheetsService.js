@@ -3,6 +3,11 @@ require("dotenv").config();
 const { google } = require("googleapis");
 const path = require("path");
 const fs = require("fs");
+const orderIndex = require("./sheetsOrderIndex");
+
+// When an order id is missing from the index, re-read the order id column
+// at most this often (rows can be added to the sheet by hand)
+const INDEX_MISS_REBUILD_MS = Number(process.env.SHEETS_INDEX_MISS_REBUILD_MS) || 30 * 1000;
 
 // Build Google Auth instance with multiple credential sources
 let authInstance = null;
@@ -59,13 +64,52 @@ function getAuth() {
   return authInstance;
 }
 
+/**
+ * Registration fields and the header names they may appear under.
+ * Headers are matched case-insensitively, ignoring spaces and punctuation,
+ * so "Order ID", "order_id" and "order-id" are the same column.
+ */
+const REGISTRATION_COLUMNS = {
+  createdAt: { headers: ["timestamp", "created_at"], required: true },
+  name: { headers: ["name", "full_name"], required: true },
+  mobile: { headers: ["mobile", "phone", "mobile_number"], required: true },
+  email: { headers: ["email", "email_address"], required: true },
+  city: { headers: ["city"], required: true },
+  experience: { headers: ["experience"], required: true },
+  amount: { headers: ["amount"], required: true },
+  currency: { headers: ["currency"], required: true },
+  paymentId: { headers: ["payment_id", "razorpay_payment_id"], required: true },
+  orderId: { headers: ["order_id", "razorpay_order_id"], required: true },
+  status: { headers: ["status", "payment_status"], required: true },
+  statusUpdatedAt: { headers: ["payment_timestamp", "status_updated_at", "updated_at"], required: true },
+  // Optional columns: written when the header exists, otherwise skipped
+  courseId: { headers: ["course_id", "course"], required: false },
+  country: { headers: ["country"], required: false },
+  couponCode: { headers: ["coupon_code", "coupon"], required: false },
+  discount: { headers: ["discount"], required: false },
+  refundedAmount: { headers: ["refunded_amount", "refund_amount"], required: false },
+  refundId: { headers: ["refund_id"], required: false },
+  refundStatus: { headers: ["refund_status"], required: false },
+  messagingChannel: { headers: ["messaging_channel", "notify_via"], required: false },
+  invoiceNumber: { headers: ["invoice_number", "invoice_no"], required: false },
+  campaign: { headers: ["campaign", "utm_campaign"], required: false },
+  checkoutMode: { headers: ["checkout_mode", "payment_mode"], required: false },
+  installmentPlan: { headers: ["installment_plan"], required: false },
+  balance: { headers: ["balance_due", "balance"], required: false },
+  nextDueDate: { headers: ["next_due_date"], required: false },
+};
+
+let columnMap = null;
+
 /**
  * Get spreadsheet configuration
  */
 function getSpreadsheetConfig() {
   const spreadsheetId =
     process.env.GOOGLE_SHEETS_SPREADSHEET_ID || process.env.GOOGLE_SHEET_ID;
-  const range = process.env.GOOGLE_SHEETS_RANGE || "Sheet1!A1";
+  // GOOGLE_SHEETS_RANGE ("Tab!A1") is still honoured for its tab name
+  const legacyTab = (process.env.GOOGLE_SHEETS_RANGE || "").split("!")[0];
+  const tab = process.env.GOOGLE_SHEETS_TAB || legacyTab || "Sheet1";
 
   if (!spreadsheetId) {
     throw new Error(
@@ -73,7 +117,49 @@ function getSpreadsheetConfig() {
     );
   }
 
-  return { spreadsheetId, range };
+  return { spreadsheetId, tab };
+}
+
+/**
+ * A1 notation for a range on the configured tab, quoting the tab name
+ * @param {string} [range] - e.g. "A1", "J:J"; omit for the whole tab
+ */
+function tabRange(range) {
+  const { tab } = getSpreadsheetConfig();
+  const quoted = `'${tab.replace(/'/g, "''")}'`;
+  return range ? `${quoted}!${range}` : quoted;
+}
+
+/**
+ * Column letter for a 0-based column index (0 → A, 26 → AA)
+ * @param {number} index
+ */
+function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Normalise a header cell for matching
+ * @param {string} header
+ */
+function normaliseHeader(header) {
+  return String(header || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+/**
+ * Make a value safe to write with valueInputOption USER_ENTERED.
+ * Text starting with = + - @ (or a tab/CR) would be evaluated as a formula,
+ * so it is prefixed with an apostrophe, which Sheets stores as plain text.
+ * @param {*} value
+ */
+function sanitiseCell(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) return `'${value}`;
+  return value;
 }
 
 /**
@@ -84,26 +170,118 @@ async function getSheetsClient() {
   return google.sheets({ version: "v4", auth: client });
 }
 
+/**
+ * Read the header row and map registration fields to 0-based column indexes.
+ * Cached after the first successful load.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Re-read the header row
+ * @returns {{ fields: Object<string, number>, width: number }}
+ * @throws when a required header is missing
+ */
+async function loadColumnMap({ refresh = false } = {}) {
+  if (columnMap && !refresh) return columnMap;
+
+  const { spreadsheetId, tab } = getSpreadsheetConfig();
+  const sheets = await getSheetsClient();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: tabRange("1:1"),
+  });
+  const headers = ((response.data.values && response.data.values[0]) || []).map(normaliseHeader);
+
+  const fields = {};
+  const missing = [];
+  for (const [field, { headers: names, required }] of Object.entries(REGISTRATION_COLUMNS)) {
+    const index = headers.findIndex((header) => names.includes(header));
+    if (index !== -1) {
+      fields[field] = index;
+    } else if (required) {
+      missing.push(names[0]);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Sheet "${tab}" is missing required header(s): ${missing.join(", ")}. Add them to row 1.`
+    );
+  }
+
+  const unmapped = Object.keys(REGISTRATION_COLUMNS).filter((field) => fields[field] === undefined);
+  if (unmapped.length > 0) {
+    console.warn(`⚠️ Sheet "${tab}" has no column for optional field(s): ${unmapped.join(", ")} - they will not be written`);
+  }
+
+  columnMap = { fields, width: headers.length };
+  console.log(`🧭 Sheet "${tab}" columns mapped:`, fields);
+  return columnMap;
+}
+
+/**
+ * Build a row array from named fields using the header mapping
+ * @param {Object} values - { field: value }
+ */
+async function buildRow(values) {
+  const { fields, width } = await loadColumnMap();
+  const row = new Array(width).fill("");
+  for (const [field, index] of Object.entries(fields)) {
+    row[index] = sanitiseCell(values[field]);
+  }
+  return row;
+}
+
+/**
+ * Read named fields from a row array using the header mapping
+ * @param {Array} row
+ */
+async function readRow(row) {
+  const { fields } = await loadColumnMap();
+  const values = {};
+  for (const [field, index] of Object.entries(fields)) {
+    values[field] = row[index] === undefined ? "" : row[index];
+  }
+  return values;
+}
+
 /**
  * Append a row to the spreadsheet
- * @param {Array} values - Array of values to append
+ * @param {Array} values - Array of values to append (see buildRow)
  */
 async function appendRow(values) {
+  return appendRows([values]);
+}
+
+/**
+ * Append several rows in one request
+ * @param {Array<Array>} rows - Row arrays to append (see buildRow)
+ */
+async function appendRows(rows) {
   try {
-    const { spreadsheetId, range } = getSpreadsheetConfig();
+    const { spreadsheetId } = getSpreadsheetConfig();
+    const { fields } = await loadColumnMap();
     const sheets = await getSheetsClient();
 
     const result = await sheets.spreadsheets.values.append({
       spreadsheetId,
-      range,
+      range: tabRange("A1"),
       valueInputOption: "USER_ENTERED",
-      requestBody: { values: [values] },
+      requestBody: { values: rows },
     });
     
-    console.log("Row appended successfully");
+    // Index the new rows from the range Sheets reports, never from a row count,
+    // so concurrent appends cannot shift them
+    const firstRow = parseRowNumber(result.data?.updates?.updatedRange);
+    if (firstRow) {
+      await orderIndex.load(spreadsheetId);
+      for (let i = 0; i < rows.length; i++) {
+        await orderIndex.set(rows[i][fields.orderId], firstRow + i);
+      }
+    }
+
+    console.log(`${rows.length} row(s) appended successfully`);
     return result;
   } catch (error) {
-    console.error("Error appending row:", error);
+    console.error("Error appending rows:", error);
     throw error;
   }
 }
@@ -119,7 +297,7 @@ async function getAllRows() {
   try {
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: 'Sheet1!A:Z', // Get all columns
+      range: tabRange(), // Every column in use
     });
     
     return response.data.values || [];
@@ -130,69 +308,183 @@ async function getAllRows() {
 }
 
 /**
- * Find row index by order ID
+ * Read a block of rows, for paging through the tab without loading it whole
+ * @param {number} startRow - 1-based row number
+ * @param {number} count
+ * @returns {Array<Array>} Fewer than count rows once the data runs out
+ */
+async function getRows(startRow, count) {
+  const { spreadsheetId } = getSpreadsheetConfig();
+  const sheets = await getSheetsClient();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: tabRange(`${startRow}:${startRow + count - 1}`),
+  });
+  return response.data.values || [];
+}
+
+/**
+ * Row number from an A1 range such as "Sheet1!A15:L15"
+ * @param {string} range
+ * @returns {number|null}
+ */
+function parseRowNumber(range) {
+  const match = /![A-Z]+(\d+)/.exec(range || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Get a single row's values
+ * @param {number} rowIndex - 1-based row number
+ * @returns {Array}
+ */
+async function getRow(rowIndex) {
+  const { spreadsheetId } = getSpreadsheetConfig();
+  const sheets = await getSheetsClient();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: tabRange(`${rowIndex}:${rowIndex}`),
+  });
+  return (response.data.values && response.data.values[0]) || [];
+}
+
+/**
+ * Rebuild the order id → row index from the order id column only
+ */
+async function rebuildOrderIndex() {
+  const { spreadsheetId } = getSpreadsheetConfig();
+  const { fields } = await loadColumnMap();
+  const sheets = await getSheetsClient();
+  await orderIndex.load(spreadsheetId);
+
+  const orderIdColumn = columnLetter(fields.orderId);
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: tabRange(`${orderIdColumn}:${orderIdColumn}`),
+    majorDimension: 'COLUMNS',
+  });
+  const orderIds = (response.data.values && response.data.values[0]) || [];
+
+  await orderIndex.replaceAll(orderIds);
+  console.log(`🗂️ Order index rebuilt (${orderIds.length} rows)`);
+}
+
+/**
+ * Row index for an order from the index, rebuilding it when stale or on a miss
+ * @param {string} orderId
+ * @returns {number|null}
+ */
+async function lookupRowIndex(orderId) {
+  const { spreadsheetId } = getSpreadsheetConfig();
+  await orderIndex.load(spreadsheetId);
+
+  if (orderIndex.isStale()) {
+    await rebuildOrderIndex();
+  }
+
+  let rowIndex = orderIndex.get(orderId);
+  if (!rowIndex && orderIndex.age() > INDEX_MISS_REBUILD_MS) {
+    await rebuildOrderIndex();
+    rowIndex = orderIndex.get(orderId);
+  }
+  return rowIndex;
+}
+
+/**
+ * Find row index by order ID using the order index (no sheet scan)
  * @param {string} orderId - The order ID to search for
  * @returns {number} Row index (1-based for Google Sheets) or -1 if not found
+ * @throws when the sheet cannot be read
  */
 async function findRowByOrderId(orderId) {
   try {
-    console.log('Searching for order ID:', orderId);
-    const rows = await getAllRows();
-    
-    if (!rows || rows.length === 0) {
-      console.log('No rows found in spreadsheet');
+    const rowIndex = await lookupRowIndex(orderId);
+    if (!rowIndex) {
+      console.log(`❌ Order ID ${orderId} not found in spreadsheet`);
       return -1;
     }
-
-    console.log(`Total rows to search: ${rows.length}`);
-
-    // Search for order ID in column J (index 9)
-    // Columns: A=timestamp, B=name, C=mobile, D=email, E=city, F=experience, G=amount, H=currency, I=payment_id, J=order_id
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      if (row && row[9] === orderId) { // Column J (order_id)
-        const foundIndex = i + 1; // Return 1-based row number for Google Sheets
-        console.log(`✅ Order ID found at row ${foundIndex}`);
-        return foundIndex;
-      }
-    }
-    
-    console.log(`❌ Order ID ${orderId} not found in spreadsheet`);
-    return -1; // Not found
+    return rowIndex;
   } catch (error) {
+    // Rethrow: reporting "not found" on a read error makes callers append duplicate rows
     console.error('Error finding row by order ID:', error);
-    return -1;
+    throw error;
   }
 }
 
 /**
- * Update specific columns in an existing row
+ * Find a row and its values by order ID.
+ * The indexed row is read and checked; if rows have moved since the index
+ * was built (sorted, inserted or deleted by hand) the index is rebuilt.
+ * Read errors are thrown rather than reported as "not found", so callers
+ * never append a duplicate row on a transient failure.
+ * @param {string} orderId - The order ID to search for
+ * @returns {{ rowIndex: number, row: Array }|null} 1-based row index and values, or null
+ */
+async function getRowByOrderId(orderId) {
+  const { fields } = await loadColumnMap();
+  let rowIndex = await lookupRowIndex(orderId);
+  if (!rowIndex) return null;
+
+  let row = await getRow(rowIndex);
+  if (row[fields.orderId] !== orderId) {
+    console.log(`🗂️ Order index out of date for ${orderId} (row ${rowIndex}) - rebuilding`);
+    await rebuildOrderIndex();
+    rowIndex = orderIndex.get(orderId);
+    if (!rowIndex) return null;
+    row = await getRow(rowIndex);
+    if (row[fields.orderId] !== orderId) return null;
+  }
+
+  return { rowIndex, row };
+}
+
+/**
+ * Update named fields in an existing row, writing only those cells
  * @param {number} rowIndex - 1-based row number
- * @param {Array} paymentData - Array of payment data to update
+ * @param {Object} values - { field: value }, e.g. { status: 'captured' }
  */
-async function updateRow(rowIndex, paymentData) {
+async function updateRowFields(rowIndex, values) {
+  return batchUpdateRows([{ rowIndex, values }]);
+}
+
+/**
+ * Update named fields in several rows with a single values.batchUpdate call
+ * @param {Array<{ rowIndex: number, values: Object }>} updates
+ */
+async function batchUpdateRows(updates) {
   const { spreadsheetId } = getSpreadsheetConfig();
+  const { fields } = await loadColumnMap();
   const sheets = await getSheetsClient();
 
+  const data = [];
+  for (const { rowIndex, values } of updates) {
+    for (const [field, value] of Object.entries(values)) {
+      if (fields[field] === undefined) continue;
+      data.push({
+        range: tabRange(`${columnLetter(fields[field])}${rowIndex}`),
+        values: [[sanitiseCell(value)]],
+      });
+    }
+  }
+
+  if (data.length === 0) return null;
+
+  const rowList = updates.map((update) => update.rowIndex).join(', ');
   try {
-    console.log(`Updating row ${rowIndex} with data:`, paymentData);
-    
-    // Update columns G through L (amount, currency, payment_id, order_id, status, payment_timestamp)
-    const range = `Sheet1!G${rowIndex}:L${rowIndex}`;
-    
-    const response = await sheets.spreadsheets.values.update({
+    const response = await sheets.spreadsheets.values.batchUpdate({
       spreadsheetId,
-      range,
-      valueInputOption: 'USER_ENTERED',
-      resource: {
-        values: [paymentData],
+      requestBody: {
+        valueInputOption: 'USER_ENTERED',
+        data,
       },
     });
     
-    console.log(`✅ Row ${rowIndex} updated successfully`);
+    console.log(`✅ Row(s) ${rowList} updated successfully`);
     return response.data;
   } catch (error) {
-    console.error(`❌ Error updating row ${rowIndex}:`, error);
+    console.error(`❌ Error updating row(s) ${rowList}:`, error);
     throw error;
   }
 }
@@ -207,10 +499,9 @@ async function updateRow(rowIndex, paymentData) {
 async function updateRowRange(rowIndex, startColumn, endColumn, data) {
   const { spreadsheetId } = getSpreadsheetConfig();
   const sheets = await getSheetsClient();
+  const range = tabRange(`${startColumn}${rowIndex}:${endColumn}${rowIndex}`);
 
   try {
-    const range = `Sheet1!${startColumn}${rowIndex}:${endColumn}${rowIndex}`;
-    
     const response = await sheets.spreadsheets.values.update({
       spreadsheetId,
       range,
@@ -237,10 +528,9 @@ async function updateRowRange(rowIndex, startColumn, endColumn, data) {
 async function clearRowRange(rowIndex, startColumn, endColumn) {
   const { spreadsheetId } = getSpreadsheetConfig();
   const sheets = await getSheetsClient();
+  const range = tabRange(`${startColumn}${rowIndex}:${endColumn}${rowIndex}`);
 
   try {
-    const range = `Sheet1!${startColumn}${rowIndex}:${endColumn}${rowIndex}`;
-    
     const response = await sheets.spreadsheets.values.clear({
       spreadsheetId,
       range,
@@ -256,10 +546,19 @@ async function clearRowRange(rowIndex, startColumn, endColumn) {
 
 // ✅ Export all functions (this was missing in your original file)
 module.exports = { 
+  REGISTRATION_COLUMNS,
+  loadColumnMap,
+  buildRow,
+  readRow,
   appendRow, 
+  appendRows,
   getAllRows,
+  getRows,
   findRowByOrderId,
-  updateRow,
+  getRowByOrderId,
+  rebuildOrderIndex,
+  updateRowFields,
+  batchUpdateRows,
   updateRowRange,
   clearRowRange
 };
\ No newline at end of file
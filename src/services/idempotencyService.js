@@ -0,0 +1,83 @@
+const { readJson, writeJson } = require('../utils/fileStore');
+
+const STATE_FILE = 'idempotency.json';
+
+let state = null;
+const locks = new Map();
+
+async function loadState() {
+  if (!state) {
+    state = await readJson(STATE_FILE, { events: {}, payments: {} });
+  }
+  return state;
+}
+
+/**
+ * Run fn exclusively for a key (e.g. an order id), so concurrent
+ * GET/POST callbacks and webhooks for the same order never interleave
+ * @param {string} key
+ * @param {Function} fn - async function
+ */
+function runExclusive(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  locks.set(key, current);
+  current.finally(() => {
+    if (locks.get(key) === current) locks.delete(key);
+  }).catch(() => {});
+  return current;
+}
+
+/**
+ * Whether a webhook event (x-razorpay-event-id) was already processed
+ * @param {string} eventId
+ */
+async function hasProcessedEvent(eventId) {
+  if (!eventId) return false;
+  const { events } = await loadState();
+  return Boolean(events[eventId]);
+}
+
+/**
+ * Mark a webhook event as processed
+ * @param {string} eventId
+ * @param {string} eventType
+ */
+async function markEventProcessed(eventId, eventType) {
+  if (!eventId) return;
+  const current = await loadState();
+  current.events[eventId] = { eventType, processedAt: new Date().toISOString() };
+  await writeJson(STATE_FILE, current);
+}
+
+/**
+ * Last status recorded for a payment id, or null
+ * @param {string} paymentId
+ * @returns {{ orderId: string, status: string, processedAt: string }|null}
+ */
+async function getPaymentRecord(paymentId) {
+  if (!paymentId) return null;
+  const { payments } = await loadState();
+  return payments[paymentId] || null;
+}
+
+/**
+ * Remember the status written for a payment id
+ * @param {string} paymentId
+ * @param {string} orderId
+ * @param {string} status
+ */
+async function recordPayment(paymentId, orderId, status) {
+  if (!paymentId) return;
+  const current = await loadState();
+  current.payments[paymentId] = { orderId, status, processedAt: new Date().toISOString() };
+  await writeJson(STATE_FILE, current);
+}
+
+module.exports = {
+  runExclusive,
+  hasProcessedEvent,
+  markEventProcessed,
+  getPaymentRecord,
+  recordPayment
+};
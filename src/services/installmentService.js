@@ -0,0 +1,547 @@
+const razorpay = require('../utils/razorpayClient');
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { buildPaymentLink } = require('../utils/paymentLink');
+const { minimumAmount, toChargeable, fromMinorUnits, formatMoney } = require('../utils/currency');
+const { runExclusive } = require('./idempotencyService');
+const { notifyInstallmentReminder, notifyInstallmentPaid } = require('./notificationService');
+const { issueInvoice } = require('./invoiceService');
+const { STATUS, normaliseStatus, onTransition } = require('./paymentLifecycle');
+
+const INSTALLMENTS_FILE = 'installments.json';
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days before a due date to remind the student, e.g. "7,1"
+const REMINDER_DAYS = (process.env.INSTALLMENT_REMINDER_DAYS || '7,1')
+  .split(',')
+  .map((days) => Number(days.trim()))
+  .filter((days) => Number.isInteger(days) && days >= 0)
+  .sort((a, b) => b - a);
+
+// Registrations whose later installments are being collected
+const ACTIVE_STATUSES = [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * Installment schedules, kept in DATA_DIR as
+ *   { schedules: { [orderId]: schedule }, orders: { [installmentOrderId]: orderId } }
+ * schedule:    { orderId, courseId, planId, currency, total (minor units), createdAt, installments: [installment] }
+ * installment: { number, percent, amount (minor units), dueDate (YYYY-MM-DD), status: pending | paid,
+ *                orderId, paymentId?, paidAt?, remindersSent: [days] }
+ * Installment 1 is the registration's own order, paid at checkout. Each later
+ * installment gets its own Razorpay order the first time it is reminded about
+ * or paid, mapped back to the registration's order id in orders.
+ */
+async function loadInstallments() {
+  return readJson(INSTALLMENTS_FILE, { schedules: {}, orders: {} });
+}
+
+function withInstallments(fn) {
+  return runExclusive('installments', async () => {
+    const state = await loadInstallments();
+    const result = await fn(state);
+    await writeJson(INSTALLMENTS_FILE, state);
+    return result;
+  });
+}
+
+// Calendar date in IST, YYYY-MM-DD
+function istDate(date) {
+  return new Date(date.getTime() + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function daysUntil(dueDate, now) {
+  return Math.round((Date.parse(dueDate) - Date.parse(istDate(now))) / DAY_MS);
+}
+
+/**
+ * Installment plan chosen for a course
+ * @param {Object} course
+ * @param {string} [planId]
+ * @returns {Object|null} plan, or null to pay in full
+ * @throws {HttpError} 400 when the course has no such plan
+ */
+function resolveInstallmentPlan(course, planId) {
+  if (!planId) return null;
+
+  const plans = course.installmentPlans || [];
+  const plan = plans.find((item) => item.id === planId);
+  if (!plan) {
+    throw new HttpError(400, 'Invalid installment plan', 'VALIDATION_FAILED', {
+      fields: {
+        installmentPlan: plans.length > 0
+          ? `must be one of: ${plans.map((item) => item.id).join(', ')}`
+          : `"${course.name}" has no installment plans`
+      }
+    });
+  }
+  return plan;
+}
+
+/**
+ * A course's installment plans at its list price, leaving out any that would
+ * go below the minimum installment
+ * @param {Object} course - Priced in the currency to list (see catalogService.priceCourse)
+ * @returns {Array<{ id, name, installments: Array<{ number, percent, amount, dueAfterDays, dueDate }> }>} amounts in the currency's major unit
+ */
+function listInstallmentPlans(course) {
+  const smallest = (plan) => toChargeable(Math.floor(course.amount * Math.min(...plan.installments.map((item) => item.percent)) / 100), course.currency);
+  return (course.installmentPlans || [])
+    .filter((plan) => smallest(plan) >= minimumAmount(course.currency))
+    .map((plan) => {
+      const amounts = splitAmount(course.amount, plan, course.currency);
+      return {
+        id: plan.id,
+        name: plan.name || plan.id,
+        installments: plan.installments.map((installment, index) => ({
+          number: index + 1,
+          percent: installment.percent,
+          amount: fromMinorUnits(amounts[index], course.currency),
+          dueAfterDays: installment.dueAfterDays || 0,
+          dueDate: installment.dueDate || null
+        }))
+      };
+    });
+}
+
+/**
+ * Split a total by a plan's percents. Rounding leftovers go to the first
+ * installment, so later ones are their share rounded down to an amount the
+ * currency can be charged in.
+ * @param {number} total - Minor units
+ * @param {Object} plan
+ * @param {string} currency
+ * @returns {number[]} Minor units per installment
+ * @throws {HttpError} 400 when an installment would be below Razorpay's minimum order
+ */
+function splitAmount(total, plan, currency) {
+  const amounts = plan.installments.map((installment) => toChargeable(Math.floor(total * installment.percent / 100), currency));
+  amounts[0] += total - amounts.reduce((sum, amount) => sum + amount, 0);
+
+  if (amounts.some((amount) => amount < minimumAmount(currency))) {
+    throw new HttpError(400, `This amount is too small to pay in installments with plan "${plan.id}"`, 'INSTALLMENT_PLAN_UNAVAILABLE');
+  }
+  return amounts;
+}
+
+/**
+ * Schedule for a new registration, with due dates counted from its creation
+ * @param {Object} plan
+ * @param {Object} order
+ * @param {string} order.orderId - The registration's order (installment 1)
+ * @param {string} order.courseId
+ * @param {string} order.currency
+ * @param {number} order.total - Minor units, after any coupon
+ * @param {string} order.createdAt - ISO time
+ */
+function buildSchedule(plan, { orderId, courseId, currency, total, createdAt }) {
+  const amounts = splitAmount(total, plan, currency);
+  const registeredOn = new Date(createdAt);
+
+  return {
+    orderId,
+    courseId,
+    planId: plan.id,
+    currency,
+    total,
+    createdAt,
+    installments: plan.installments.map((installment, index) => ({
+      number: index + 1,
+      percent: installment.percent,
+      amount: amounts[index],
+      dueDate: installment.dueDate
+        ? istDate(new Date(installment.dueDate))
+        : istDate(new Date(registeredOn.getTime() + (installment.dueAfterDays || 0) * DAY_MS)),
+      status: 'pending',
+      orderId: index === 0 ? orderId : null,
+      remindersSent: []
+    }))
+  };
+}
+
+/**
+ * Save a new registration's schedule (see buildSchedule)
+ */
+async function saveSchedule(schedule) {
+  await withInstallments(async (state) => {
+    state.schedules[schedule.orderId] = schedule;
+  });
+  console.log(`📆 Installment plan ${schedule.planId} set up for order ${schedule.orderId}`);
+}
+
+function paidTotal(schedule) {
+  return schedule.installments
+    .filter((installment) => installment.status === 'paid')
+    .reduce((sum, installment) => sum + installment.amount, 0);
+}
+
+function nextPending(schedule) {
+  return schedule.installments.find((installment) => installment.status === 'pending') || null;
+}
+
+/**
+ * Registration fields summarising a schedule (see the optional
+ * installment_plan, balance_due and next_due_date sheet headers)
+ * @returns {{ installmentPlan, balance, nextDueDate }} balance in minor units
+ */
+function scheduleFields(schedule) {
+  return {
+    installmentPlan: schedule.planId,
+    balance: schedule.total - paidTotal(schedule),
+    nextDueDate: nextPending(schedule)?.dueDate || ''
+  };
+}
+
+/**
+ * Give an installment its own Razorpay order, once
+ */
+async function ensureInstallmentOrder(state, schedule, installment) {
+  if (installment.orderId) return installment.orderId;
+
+  const order = await razorpay.orders.create({
+    amount: installment.amount,
+    currency: schedule.currency,
+    receipt: `rcpt_${Date.now()}`,
+    notes: {
+      registration_order_id: schedule.orderId,
+      installment: String(installment.number),
+      course_id: schedule.courseId
+    }
+  });
+  installment.orderId = order.id;
+  state.orders[order.id] = schedule.orderId;
+  console.log(`📆 Order ${order.id} created for installment ${installment.number} of order ${schedule.orderId}`);
+  return order.id;
+}
+
+/**
+ * Every registration's schedule, by registration order id
+ * @returns {Object}
+ */
+async function listSchedules() {
+  const { schedules } = await loadInstallments();
+  return schedules;
+}
+
+/**
+ * Installment schedule of a registration, or null when it is paid in full
+ * @param {string} orderId - Registration order id
+ */
+async function getSchedule(orderId) {
+  const { schedules } = await loadInstallments();
+  return schedules[orderId] || null;
+}
+
+/**
+ * Registration and installment an installment order belongs to, or null for
+ * any other order (installment 1 is the registration's own order)
+ * @param {string} installmentOrderId
+ * @returns {{ orderId, number }|null}
+ */
+async function findInstallmentOrder(installmentOrderId) {
+  if (!installmentOrderId) return null;
+  const { schedules, orders } = await loadInstallments();
+  const orderId = orders[installmentOrderId];
+  const installment = orderId && schedules[orderId]?.installments.find((item) => item.orderId === installmentOrderId);
+  if (!installment) return null;
+  return { orderId, number: installment.number };
+}
+
+/**
+ * A registration's installments, for the student or an admin
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object|null} Amounts in the currency's major unit; null when paid in full
+ */
+async function getInstallmentSummary(orderId, { now = new Date() } = {}) {
+  const schedule = await getSchedule(orderId);
+  if (!schedule) return null;
+
+  const paid = paidTotal(schedule);
+  const major = (amount) => fromMinorUnits(amount, schedule.currency);
+  return {
+    orderId,
+    planId: schedule.planId,
+    currency: schedule.currency,
+    total: major(schedule.total),
+    paid: major(paid),
+    balance: major(schedule.total - paid),
+    installments: schedule.installments.map((installment) => ({
+      number: installment.number,
+      percent: installment.percent,
+      amount: major(installment.amount),
+      dueDate: installment.dueDate,
+      status: installment.status,
+      paidAt: installment.paidAt || null,
+      overdue: installment.status === 'pending' && daysUntil(installment.dueDate, now) < 0
+    }))
+  };
+}
+
+/**
+ * Start paying a registration's next installment: creates its order when
+ * needed and returns the checkout link
+ * @param {string} orderId - Registration order id
+ * @returns {{ number, amount, currency, dueDate, orderId, paymentLink }} amount in the currency's major unit
+ * @throws {HttpError} 404 no schedule, 409 first installment unpaid or nothing left to pay
+ */
+async function startInstallmentPayment(orderId) {
+  const registration = await store.findByOrderId(orderId);
+  if (!registration) {
+    throw new HttpError(404, `Registration for order ${orderId} not found`, 'REGISTRATION_NOT_FOUND');
+  }
+  if (!ACTIVE_STATUSES.includes(normaliseStatus(registration.status))) {
+    throw new HttpError(409, 'The first installment has not been paid', 'FIRST_INSTALLMENT_UNPAID');
+  }
+
+  return withInstallments(async (state) => {
+    const schedule = state.schedules[orderId];
+    if (!schedule) {
+      throw new HttpError(404, `Order ${orderId} is not on an installment plan`, 'NO_INSTALLMENT_PLAN');
+    }
+    const installment = nextPending(schedule);
+    if (!installment) {
+      throw new HttpError(409, 'All installments are paid', 'NOTHING_DUE');
+    }
+
+    const installmentOrderId = await ensureInstallmentOrder(state, schedule, installment);
+    return {
+      number: installment.number,
+      amount: fromMinorUnits(installment.amount, schedule.currency),
+      currency: schedule.currency,
+      dueDate: installment.dueDate,
+      orderId: installmentOrderId,
+      paymentLink: buildPaymentLink(installmentOrderId)
+    };
+  });
+}
+
+/**
+ * Mark an installment paid and update its registration's balance
+ * @param {string} orderId - Registration order id
+ * @param {function(Object): Object|undefined} pick - Finds the installment in the schedule
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {{ applied, orderId, number, reason? }|null} null when pick finds nothing
+ */
+async function markPaid(orderId, pick, payment) {
+  const result = await withInstallments(async (state) => {
+    const schedule = state.schedules[orderId];
+    const installment = schedule && pick(schedule);
+    if (!installment) return null;
+
+    if (installment.status === 'paid') {
+      if (installment.paymentId !== payment?.id) {
+        console.warn(`⚠️ Installment ${installment.number} of order ${orderId} paid again by ${payment?.id} (first ${installment.paymentId})`);
+      }
+      return { applied: false, orderId, number: installment.number, reason: installment.paymentId === payment?.id ? 'duplicate' : 'unchanged' };
+    }
+
+    Object.assign(installment, {
+      status: 'paid',
+      paymentId: payment?.id || '',
+      paidAt: new Date().toISOString()
+    });
+    return { applied: true, orderId, number: installment.number, schedule };
+  });
+  if (!result?.applied) return result;
+
+  const { schedule, ...outcome } = result;
+  const fields = scheduleFields(schedule);
+  const registration = await store.updateRegistration(orderId, fields);
+  console.log(`✅ Order ${orderId}: installment ${outcome.number} of ${schedule.installments.length} paid, balance ${formatMoney(fields.balance, schedule.currency)}`);
+
+  if (outcome.number > 1) {
+    const installment = schedule.installments[outcome.number - 1];
+    // Installment 1 is invoiced with its registration (see invoiceService); later ones here
+    await issueInvoice(installment.orderId, {
+      installment: {
+        registrationOrderId: orderId,
+        number: installment.number,
+        count: schedule.installments.length,
+        amount: installment.amount,
+        paymentId: installment.paymentId,
+        paidAt: installment.paidAt
+      }
+    }).catch((error) => console.error(`❌ Invoice for installment ${installment.number} of order ${orderId} failed:`, error));
+    notifyInstallmentPaid(registration, {
+      number: installment.number,
+      count: schedule.installments.length,
+      amount: installment.amount,
+      balance: schedule.total - paidTotal(schedule),
+      nextDueDate: fields.nextDueDate
+    }).catch((error) => console.error(`❌ Installment email for order ${orderId} failed:`, error));
+  }
+  return outcome;
+}
+
+/**
+ * Record a payment on an installment order (verify-payment, webhooks,
+ * reconciliation). Only captured payments count; other attempts are logged.
+ * @param {string} installmentOrderId
+ * @param {Object} payment - Razorpay payment entity
+ * @param {Object} [options]
+ * @param {string} [options.source]
+ * @returns {{ applied, orderId, number, reason? }|null} null for an order that is not an installment
+ */
+async function recordInstallmentPayment(installmentOrderId, payment, { source = 'unknown' } = {}) {
+  const match = await findInstallmentOrder(installmentOrderId);
+  if (!match) return null;
+
+  if (payment?.status && payment.status !== 'captured') {
+    console.log(`📆 Installment ${match.number} of order ${match.orderId}: payment ${payment.id} ${payment.status} (${source})`);
+    return { applied: false, orderId: match.orderId, number: match.number, reason: payment.status };
+  }
+  return markPaid(match.orderId, (schedule) => schedule.installments[match.number - 1], payment);
+}
+
+/**
+ * Remind students of installments coming due (INSTALLMENT_REMINDER_DAYS
+ * before the due date, each at most once) with a link to pay
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {number} Reminders sent
+ */
+async function sendDueReminders({ now = new Date() } = {}) {
+  if (REMINDER_DAYS.length === 0) return 0;
+
+  const registrations = new Map((await store.listRegistrations()).map((registration) => [registration.orderId, registration]));
+  const reminders = await withInstallments(async (state) => {
+    const due = [];
+    for (const schedule of Object.values(state.schedules)) {
+      const registration = registrations.get(schedule.orderId);
+      if (!registration || !ACTIVE_STATUSES.includes(normaliseStatus(registration.status))) continue;
+
+      for (const installment of schedule.installments.filter((item) => item.status === 'pending' && item.number > 1)) {
+        const daysLeft = daysUntil(installment.dueDate, now);
+        // The closest reminder point reached; skipped earlier ones are not sent late
+        const reached = REMINDER_DAYS.filter((days) => daysLeft <= days);
+        if (reached.length === 0 || installment.remindersSent.includes(reached[reached.length - 1])) continue;
+
+        try {
+          await ensureInstallmentOrder(state, schedule, installment);
+        } catch (error) {
+          console.error(`❌ Could not create the order for installment ${installment.number} of ${schedule.orderId}:`, error.message);
+          continue;
+        }
+        installment.remindersSent = [...new Set([...installment.remindersSent, ...reached])];
+        due.push({ registration, schedule, installment, overdue: daysLeft < 0 });
+      }
+    }
+    return due;
+  });
+
+  // Sent outside the lock so a slow mail server never holds it
+  for (const { registration, schedule, installment, overdue } of reminders) {
+    notifyInstallmentReminder(registration, {
+      number: installment.number,
+      count: schedule.installments.length,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+      balance: schedule.total - paidTotal(schedule),
+      overdue,
+      paymentLink: buildPaymentLink(installment.orderId)
+    }).catch((error) => console.error(`❌ Installment reminder for order ${schedule.orderId} failed:`, error));
+  }
+  if (reminders.length > 0) console.log(`📆 ${reminders.length} installment reminder(s) sent`);
+  return reminders.length;
+}
+
+/**
+ * Unpaid installments past their due date, most overdue first. Only
+ * registrations whose first installment was paid (and not fully refunded)
+ * are listed.
+ * @param {Object} [options]
+ * @param {string} [options.courseId]
+ * @param {Date} [options.now]
+ * @returns {{ installments: Array, summary: { installments, registrations, amounts } }} amounts in the
+ *   currency's major unit; summary.amounts totals them per currency
+ */
+async function listOverdueInstallments({ courseId, now = new Date() } = {}) {
+  const [{ schedules }, registrations] = await Promise.all([loadInstallments(), store.listRegistrations()]);
+  const byOrderId = new Map(registrations.map((registration) => [registration.orderId, registration]));
+
+  const installments = [];
+  const totals = {}; // minor units per currency
+  for (const schedule of Object.values(schedules)) {
+    const registration = byOrderId.get(schedule.orderId);
+    if (courseId && schedule.courseId !== courseId) continue;
+    if (!registration || !ACTIVE_STATUSES.includes(normaliseStatus(registration.status))) continue;
+
+    for (const installment of schedule.installments) {
+      const daysOverdue = -daysUntil(installment.dueDate, now);
+      if (installment.status !== 'pending' || daysOverdue <= 0) continue;
+      totals[schedule.currency] = (totals[schedule.currency] || 0) + installment.amount;
+      installments.push({
+        orderId: schedule.orderId,
+        name: registration.name,
+        email: registration.email,
+        mobile: registration.mobile,
+        courseId: schedule.courseId,
+        planId: schedule.planId,
+        installment: installment.number,
+        amount: fromMinorUnits(installment.amount, schedule.currency),
+        currency: schedule.currency,
+        dueDate: installment.dueDate,
+        daysOverdue,
+        balance: fromMinorUnits(schedule.total - paidTotal(schedule), schedule.currency),
+        installmentOrderId: installment.orderId,
+        remindersSent: installment.remindersSent.length
+      });
+    }
+  }
+  installments.sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+  return {
+    installments,
+    summary: {
+      installments: installments.length,
+      registrations: new Set(installments.map((item) => item.orderId)).size,
+      amounts: Object.fromEntries(Object.entries(totals).map(([currency, amount]) => [currency, fromMinorUnits(amount, currency)]))
+    }
+  };
+}
+
+// The registration's own order is installment 1
+onTransition(async ({ orderId, to, payment }) => {
+  if (to !== STATUS.CAPTURED) return;
+  await markPaid(orderId, (schedule) => schedule.installments[0], payment);
+});
+
+let timer = null;
+
+/**
+ * Send installment reminders every hour (see server.js)
+ */
+function startSchedule() {
+  if (timer) return;
+  timer = setInterval(() => {
+    sendDueReminders().catch((error) => console.error('❌ Installment reminders failed:', error));
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stopSchedule() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  resolveInstallmentPlan,
+  listInstallmentPlans,
+  splitAmount,
+  buildSchedule,
+  saveSchedule,
+  scheduleFields,
+  paidTotal,
+  listSchedules,
+  getSchedule,
+  findInstallmentOrder,
+  getInstallmentSummary,
+  startInstallmentPayment,
+  recordInstallmentPayment,
+  sendDueReminders,
+  listOverdueInstallments,
+  startSchedule,
+  stopSchedule
+};
@@ -0,0 +1,296 @@
+const PDFDocument = require('pdfkit');
+const store = require('../storage');
+const company = require('../config/company');
+const HttpError = require('../utils/httpError');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { hmacSha256, verifySignature } = require('../utils/signature');
+const { gstBreakup } = require('../utils/gst');
+const { DEFAULT_CURRENCY, currencyExponent, fromMinorUnits } = require('../utils/currency');
+const { getBaseUrl } = require('../utils/baseUrl');
+const { runExclusive } = require('./idempotencyService');
+const { getCourse } = require('./catalogService');
+const { STATUS, normaliseStatus, onTransition } = require('./paymentLifecycle');
+
+const INVOICES_FILE = 'invoices.json';
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '999293'; // Commercial training and coaching
+const LINK_TTL_DAYS = Number(process.env.RECEIPT_LINK_TTL_DAYS) || 30;
+const INVOICEABLE_STATUSES = [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED, STATUS.REFUNDED];
+
+/**
+ * Invoices are kept in DATA_DIR as
+ *   { sequences: { '26-27': 12 }, invoices: { [orderId]: invoice } }
+ * keyed by the paid order: a registration's own, or a later installment's
+ * (each installment payment has its own invoice).
+ * Numbers run per Indian financial year (April-March) and are only taken
+ * when an invoice is issued, under a lock, so the series has no gaps.
+ */
+async function loadInvoices() {
+  return readJson(INVOICES_FILE, { sequences: {}, invoices: {} });
+}
+
+/**
+ * Financial year label (e.g. "26-27") for a date, in IST
+ * @param {Date} date
+ */
+function financialYear(date) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const short = (year) => String(year % 100).padStart(2, '0');
+  return `${short(start)}-${short(start + 1)}`;
+}
+
+/**
+ * Issued invoice for an order, or null
+ * @param {string} orderId
+ */
+async function getInvoice(orderId) {
+  const { invoices } = await loadInvoices();
+  return invoices[orderId] || null;
+}
+
+/**
+ * Every issued invoice, by order id
+ * @returns {Object}
+ */
+async function listInvoices() {
+  const { invoices } = await loadInvoices();
+  return invoices;
+}
+
+/**
+ * Issue the invoice for a paid order, or return the one already issued.
+ * The invoice snapshots the student, course and amounts at issue time.
+ * @param {string} orderId - A registration's order, or a later installment's
+ * @param {Object} [options]
+ * @param {Object} [options.installment] - Required for a later installment's order (see
+ *   installmentService): { registrationOrderId, number, count, amount (minor units), paymentId, paidAt }
+ * @returns {Object} invoice
+ * @throws {HttpError} unknown order or no captured payment
+ */
+function issueInvoice(orderId, { installment = null } = {}) {
+  return runExclusive('invoice-sequence', async () => {
+    const state = await loadInvoices();
+    if (state.invoices[orderId]) return state.invoices[orderId];
+
+    const registrationOrderId = installment ? installment.registrationOrderId : orderId;
+    const registration = await store.findByOrderId(registrationOrderId);
+    if (!registration) {
+      throw new HttpError(404, `Registration for order ${registrationOrderId} not found`, 'REGISTRATION_NOT_FOUND');
+    }
+    const paid = installment
+      ? Boolean(installment.paymentId)
+      : INVOICEABLE_STATUSES.includes(normaliseStatus(registration.status)) && Boolean(registration.paymentId);
+    if (!paid) {
+      throw new HttpError(409, `Order ${orderId} has no captured payment to invoice`, 'NOT_INVOICEABLE');
+    }
+
+    const issuedAt = new Date();
+    const year = financialYear(issuedAt);
+    const sequence = (state.sequences[year] || 0) + 1;
+    const course = registration.courseId ? getCourse(registration.courseId) : null;
+    // The coupon discount is shown once, on the registration's own invoice
+    const charge = installment
+      ? { paymentId: installment.paymentId, paidAt: installment.paidAt, amount: installment.amount, discount: 0, couponCode: '' }
+      : {
+        paymentId: registration.paymentId,
+        paidAt: registration.statusUpdatedAt,
+        amount: Number(registration.amount || 0),
+        discount: Number(registration.discount || 0),
+        couponCode: registration.couponCode || ''
+      };
+    const { amount } = charge;
+
+    const invoice = {
+      number: `${INVOICE_PREFIX}/${year}/${String(sequence).padStart(5, '0')}`,
+      financialYear: year,
+      sequence,
+      orderId,
+      ...(installment ? {
+        registrationOrderId,
+        installment: { number: installment.number, count: installment.count }
+      } : {}),
+      paymentId: charge.paymentId,
+      issuedAt: issuedAt.toISOString(),
+      paidAt: charge.paidAt || issuedAt.toISOString(),
+      student: {
+        name: registration.name,
+        email: registration.email,
+        mobile: registration.mobile,
+        city: registration.city
+      },
+      course: {
+        id: registration.courseId || '',
+        name: course ? course.name : 'Manga Art Course',
+        batch: course ? course.batch || '' : ''
+      },
+      currency: registration.currency || DEFAULT_CURRENCY,
+      amount, // minor units
+      discount: charge.discount,
+      couponCode: charge.couponCode,
+      gst: gstBreakup(amount)
+    };
+
+    state.sequences[year] = sequence;
+    state.invoices[orderId] = invoice;
+    await writeJson(INVOICES_FILE, state);
+    // The sheet's invoice_number is the registration's own invoice
+    if (!installment) await store.updateRegistration(orderId, { invoiceNumber: invoice.number });
+
+    console.log(`🧾 Invoice ${invoice.number} issued for order ${orderId}`);
+    return invoice;
+  });
+}
+
+function formatMoney(amount, currency) {
+  // The built-in PDF fonts have no ₹ glyph
+  const exponent = currencyExponent(currency);
+  return `${currency} ${fromMinorUnits(amount, currency).toLocaleString('en-IN', { minimumFractionDigits: exponent, maximumFractionDigits: exponent })}`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - From issueInvoice()
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}`, Author: company.name } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { gst, currency } = invoice;
+    const money = (amount) => formatMoney(amount, currency);
+
+    // Seller
+    doc.font('Helvetica-Bold').fontSize(16).text(company.name);
+    doc.font('Helvetica').fontSize(9).fillColor('#555');
+    if (company.address) doc.text(company.address);
+    if (company.gstin) doc.text(`GSTIN: ${company.gstin}`);
+    doc.text(`${company.website} | ${company.supportEmail}`);
+
+    doc.moveDown(1.5).fillColor('#000').font('Helvetica-Bold').fontSize(14).text('TAX INVOICE / PAYMENT RECEIPT');
+    doc.moveDown(0.5).font('Helvetica').fontSize(10);
+    doc.text(`Invoice number: ${invoice.number}`);
+    doc.text(`Invoice date: ${formatDate(invoice.issuedAt)}`);
+
+    // Buyer
+    doc.moveDown().font('Helvetica-Bold').text('Billed to');
+    doc.font('Helvetica').text(invoice.student.name);
+    doc.text(invoice.student.email);
+    if (invoice.student.mobile) doc.text(invoice.student.mobile);
+    if (invoice.student.city) doc.text(invoice.student.city);
+
+    // Line items
+    const left = 50;
+    const right = 545;
+    const amountX = 400;
+    const row = (label, value, { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, left, y, { width: amountX - left - 10 });
+      doc.text(value, amountX, y, { width: right - amountX, align: 'right' });
+      doc.moveDown(0.4);
+    };
+
+    doc.moveDown(1.5);
+    row('Description', 'Amount', { bold: true });
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke('#ccc').moveDown(0.4);
+    const part = invoice.installment ? `, installment ${invoice.installment.number} of ${invoice.installment.count}` : '';
+    row(`${invoice.course.name}${invoice.course.batch ? ` (${invoice.course.batch})` : ''}${part} - SAC ${SAC_CODE}`, money(gst.taxable));
+    if (gst.igst > 0) {
+      row(`IGST @ ${gst.rate}%`, money(gst.igst));
+    } else if (gst.tax > 0) {
+      row(`CGST @ ${gst.rate / 2}%`, money(gst.cgst));
+      row(`SGST @ ${gst.rate / 2}%`, money(gst.sgst));
+    }
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke('#ccc').moveDown(0.4);
+    row('Total paid', money(gst.total), { bold: true });
+    if (invoice.discount > 0) {
+      doc.fontSize(9).fillColor('#555');
+      row(`Includes coupon ${invoice.couponCode} discount of`, money(invoice.discount));
+      doc.fontSize(10).fillColor('#000');
+    }
+
+    // Payment
+    doc.moveDown().font('Helvetica-Bold').text('Payment', left);
+    doc.font('Helvetica');
+    doc.text(`Razorpay payment ID: ${invoice.paymentId}`);
+    doc.text(`Order ID: ${invoice.orderId}`);
+    if (invoice.registrationOrderId) doc.text(`Registration order ID: ${invoice.registrationOrderId}`);
+    doc.text(`Paid on: ${formatDate(invoice.paidAt)}`);
+
+    doc.moveDown(2).fontSize(8).fillColor('#777')
+      .text('This is a computer-generated invoice and does not need a signature.', left, doc.y, { align: 'center', width: right - left });
+    doc.end();
+  });
+}
+
+function getSigningSecret() {
+  return process.env.RECEIPT_SIGNING_SECRET || null;
+}
+
+/**
+ * Signed, expiring download link for an order's receipt, or null when
+ * RECEIPT_SIGNING_SECRET is not set
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {number} [options.ttlDays]
+ */
+function createReceiptLink(orderId, { ttlDays = LINK_TTL_DAYS } = {}) {
+  const secret = getSigningSecret();
+  if (!secret) return null;
+
+  const expires = Math.floor(Date.now() / 1000) + ttlDays * 24 * 60 * 60;
+  const signature = hmacSha256(`${orderId}.${expires}`, secret);
+  return `${getBaseUrl()}/api/payment/receipts/${encodeURIComponent(orderId)}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a receipt link's signature and expiry
+ * @param {string} orderId
+ * @param {Object} query - { expires, signature }
+ * @throws {HttpError} 403 when the link is invalid or expired
+ */
+function verifyReceiptLink(orderId, { expires, signature } = {}) {
+  const secret = getSigningSecret();
+  if (!secret || !expires || !verifySignature(`${orderId}.${expires}`, signature, secret)) {
+    throw new HttpError(403, 'Invalid receipt link', 'INVALID_RECEIPT_LINK');
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    throw new HttpError(403, 'This receipt link has expired', 'RECEIPT_LINK_EXPIRED');
+  }
+}
+
+/**
+ * Receipt PDF for an order, issuing the invoice first if needed (a later
+ * installment's is issued when it is paid)
+ * @param {string} orderId
+ * @returns {{ invoice, pdf: Buffer, fileName }}
+ */
+async function getReceipt(orderId) {
+  const invoice = await issueInvoice(orderId);
+  const pdf = await renderInvoicePdf(invoice);
+  return { invoice, pdf, fileName: `receipt-${invoice.number.replace(/\//g, '-')}.pdf` };
+}
+
+// Every captured payment gets its invoice number straight away
+onTransition(async ({ orderId, to }) => {
+  if (to === STATUS.CAPTURED) await issueInvoice(orderId);
+});
+
+module.exports = {
+  financialYear,
+  getInvoice,
+  listInvoices,
+  issueInvoice,
+  renderInvoicePdf,
+  createReceiptLink,
+  verifyReceiptLink,
+  getReceipt
+};
@@ -0,0 +1,15 @@
+/**
+ * Services that act on registration lifecycle transitions through
+ * paymentLifecycle.onTransition(): coupon redemptions, seat holds,
+ * installment schedules, invoices and student notifications.
+ *
+ * Each registers its listener when first required, so a process that moves
+ * registrations without loading all of them would skip some. Every entry
+ * point that can apply a transition (the server, replay-webhooks) requires
+ * this module first.
+ */
+require('./couponService');
+require('./seatService');
+require('./installmentService');
+require('./invoiceService');
+require('./notificationService');
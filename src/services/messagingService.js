@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { createProvider } = require('../messaging');
+const { appendJsonLine, readJsonLines } = require('../utils/fileStore');
+
+const MESSAGE_LOG_FILE = 'message-log.jsonl';
+const MAX_ATTEMPTS = Number(process.env.MESSAGING_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.MESSAGING_RETRY_DELAY_MS) || 5000;
+const CHANNELS = ['whatsapp', 'sms'];
+
+let provider = null;
+let providerReady = false;
+
+function getProvider() {
+  if (!providerReady) {
+    provider = createProvider();
+    providerReady = true;
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider (see src/messaging/index.js for the interface)
+ * @param {Object|null} custom - null disables messaging
+ */
+function setProvider(custom) {
+  provider = custom || null;
+  providerReady = true;
+}
+
+/**
+ * E.164 number for a stored mobile (10-digit Indian numbers get +91)
+ * @param {string} mobile
+ */
+function toE164(mobile) {
+  const digits = String(mobile || '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  return /^\d{10}$/.test(digits) ? `+91${digits}` : null;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send an SMS / WhatsApp message, retrying failed deliveries with a growing
+ * delay unless the provider marks the error as final.
+ * Every attempt is appended to data/message-log.jsonl. Never throws.
+ * @param {Object} message
+ * @param {string} message.channel - 'whatsapp' | 'sms'
+ * @param {string} message.mobile - Student's mobile number
+ * @param {string} message.template
+ * @param {Object} message.params
+ * @param {string} message.text
+ * @param {string} [message.orderId] - For the log
+ * @returns {{ id, status: 'sent' | 'failed' | 'skipped', attempts, providerId?, error? }}
+ */
+async function sendMessage({ channel, mobile, template, params, text, orderId }) {
+  const id = crypto.randomUUID();
+  const to = toE164(mobile);
+  const entry = { id, channel, template, orderId, to };
+  const current = getProvider();
+
+  const skipReason = !current ? 'Messaging disabled'
+    : !CHANNELS.includes(channel) ? `Unknown channel "${channel}"`
+      : !to ? 'No valid mobile number'
+        : null;
+  if (skipReason) {
+    await appendJsonLine(MESSAGE_LOG_FILE, { ...entry, attempt: 0, status: 'skipped', error: skipReason, at: new Date().toISOString() });
+    return { id, status: 'skipped', attempts: 0, error: skipReason };
+  }
+
+  let lastError = null;
+  let attempt = 0;
+  while (attempt < MAX_ATTEMPTS) {
+    attempt += 1;
+    try {
+      const result = await current.send({ channel, to, template, params, text });
+      await appendJsonLine(MESSAGE_LOG_FILE, { ...entry, provider: current.name, attempt, status: 'sent', providerId: result.id, at: new Date().toISOString() });
+      console.log(`💬 ${template} sent by ${channel} to ${to}${orderId ? ` for order ${orderId}` : ''}`);
+      return { id, status: 'sent', attempts: attempt, providerId: result.id };
+    } catch (error) {
+      lastError = error;
+      await appendJsonLine(MESSAGE_LOG_FILE, { ...entry, provider: current.name, attempt, status: 'failed', error: error.message, at: new Date().toISOString() });
+      console.error(`❌ ${template} by ${channel} to ${to} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+      if (error.retryable === false) break;
+      if (attempt < MAX_ATTEMPTS) await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  return { id, status: 'failed', attempts: attempt, error: lastError.message };
+}
+
+/**
+ * Logged message attempts, oldest first
+ * @param {Object} [filter] - { orderId, template, status, channel }
+ */
+async function listMessageLog(filter = {}) {
+  const entries = await readJsonLines(MESSAGE_LOG_FILE);
+  return entries.filter((entry) =>
+    Object.entries(filter).every(([key, value]) => value === undefined || entry[key] === value)
+  );
+}
+
+module.exports = {
+  CHANNELS,
+  sendMessage,
+  listMessageLog,
+  setProvider
+};
@@ -0,0 +1,321 @@
+const path = require('path');
+const store = require('../storage');
+const company = require('../config/company');
+const HttpError = require('../utils/httpError');
+const { render, loadTemplate } = require('../utils/template');
+const { buildPaymentLink } = require('../utils/paymentLink');
+const { formatMoney } = require('../utils/currency');
+const { sendEmail } = require('./emailService');
+const { CHANNELS, sendMessage, listMessageLog } = require('./messagingService');
+const { getCourse } = require('./catalogService');
+const { getReceipt, createReceiptLink } = require('./invoiceService');
+const { STATUS, normaliseStatus, onTransition } = require('./paymentLifecycle');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+const MESSAGE_TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'messages');
+
+/**
+ * Student notifications. Each has an HTML and a text template in
+ * src/templates/email (wrapped in layout.html) and a subject.
+ */
+const NOTIFICATIONS = {
+  registration_received: { subject: ({ courseName }) => `Registration received - ${courseName}` },
+  payment_captured: { subject: ({ courseName }) => `Payment received - ${courseName}` },
+  payment_failed: { subject: ({ courseName }) => `Payment failed - ${courseName}` },
+  refund_processed: { subject: ({ courseName }) => `Refund processed - ${courseName}` },
+  waitlist_joined: { subject: ({ courseName }) => `You are on the waitlist - ${courseName}` },
+  seat_offered: { subject: ({ courseName }) => `A seat is available - ${courseName}` },
+  installment_reminder: { subject: ({ courseName, number }) => `Installment ${number} due - ${courseName}` },
+  installment_paid: { subject: ({ courseName, number }) => `Installment ${number} received - ${courseName}` }
+};
+
+function courseName(registration) {
+  const course = registration.courseId ? getCourse(registration.courseId) : null;
+  return course ? course.name : 'Manga Art Course';
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// YYYY-MM-DD calendar date, as written
+function formatDueDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { timeZone: 'UTC', dateStyle: 'medium' });
+}
+
+/**
+ * Render a notification's subject, HTML and text
+ * @param {string} name - Key of NOTIFICATIONS
+ * @param {Object} vars
+ */
+function renderNotification(name, vars) {
+  const subject = NOTIFICATIONS[name].subject(vars);
+  const content = render(loadTemplate(path.join(TEMPLATES_DIR, `${name}.html`)), vars, { escape: true });
+  return {
+    subject,
+    html: render(loadTemplate(path.join(TEMPLATES_DIR, 'layout.html')), { ...vars, subject, content }, { escape: true }),
+    text: render(loadTemplate(path.join(TEMPLATES_DIR, `${name}.txt`)), vars)
+  };
+}
+
+/**
+ * Send a notification about a registration to its student
+ * @param {string} name - Key of NOTIFICATIONS
+ * @param {Object} registration
+ * @param {Object} [vars] - Template values on top of the registration's
+ * @param {Object} [options]
+ * @param {Array} [options.attachments] - nodemailer attachments
+ */
+async function notify(name, registration, vars = {}, { attachments } = {}) {
+  if (!registration?.email) {
+    console.warn(`⚠️ No email address for order ${registration?.orderId}; ${name} not sent`);
+    return null;
+  }
+
+  const rendered = renderNotification(name, {
+    name: registration.name,
+    orderId: registration.orderId,
+    paymentId: registration.paymentId,
+    courseName: courseName(registration),
+    amount: formatMoney(registration.amount, registration.currency),
+    companyName: company.name,
+    supportEmail: company.supportEmail,
+    ...vars
+  });
+
+  return sendEmail({
+    ...rendered,
+    attachments,
+    to: registration.email,
+    template: name,
+    orderId: registration.orderId
+  });
+}
+
+/**
+ * Send an SMS / WhatsApp message to a student who opted in to one
+ * (registration.messagingChannel); others are skipped silently.
+ * Templates are src/templates/messages/<template>.txt.
+ * @param {string} template
+ * @param {Object} registration
+ * @param {Object} [vars] - Template values on top of the registration's
+ */
+async function messageStudent(template, registration, vars = {}) {
+  if (!CHANNELS.includes(registration?.messagingChannel)) return null;
+
+  const params = {
+    name: registration.name,
+    orderId: registration.orderId,
+    paymentId: registration.paymentId,
+    courseName: courseName(registration),
+    amount: formatMoney(registration.amount, registration.currency),
+    companyShortName: company.shortName,
+    ...vars
+  };
+
+  return sendMessage({
+    channel: registration.messagingChannel,
+    mobile: registration.mobile,
+    template,
+    params,
+    text: render(loadTemplate(path.join(MESSAGE_TEMPLATES_DIR, `${template}.txt`)), params).trim(),
+    orderId: registration.orderId
+  });
+}
+
+/**
+ * Class-joining values for a course: the catalog's course.joining, overridden by details
+ */
+function joiningVars(registration, details = {}) {
+  const course = registration.courseId ? getCourse(registration.courseId) : null;
+  const joining = { ...(course?.joining || {}), ...details };
+  return {
+    startDate: joining.startDate || 'To be announced',
+    schedule: joining.schedule || course?.batch || 'To be announced',
+    link: joining.link || '',
+    note: joining.note || ''
+  };
+}
+
+/**
+ * Message class-joining details to every paid, opted-in student of a course
+ * @param {string} courseId
+ * @param {Object} [options]
+ * @param {Object} [options.details] - { link, startDate, schedule, note }; defaults to course.joining
+ * @param {boolean} [options.resend] - Also message students who already got them
+ * @returns {{ sent, failed, skipped }} Counts
+ * @throws {HttpError} unknown course or no joining link
+ */
+async function sendJoiningDetails(courseId, { details = {}, resend = false } = {}) {
+  const course = getCourse(courseId);
+  if (!course) {
+    throw new HttpError(404, `Course ${courseId} not found`, 'COURSE_NOT_FOUND');
+  }
+  const link = details.link || course.joining?.link;
+  if (!link || !/^https?:\/\/\S+$/.test(link)) {
+    throw new HttpError(400, 'A joining link is required', 'VALIDATION_FAILED', { fields: { link: 'must be an http(s) URL' } });
+  }
+
+  const alreadySent = new Set(
+    resend ? [] : (await listMessageLog({ template: 'class_joining', status: 'sent' })).map((entry) => entry.orderId)
+  );
+  const recipients = (await store.listRegistrations()).filter((registration) =>
+    registration.courseId === courseId &&
+    normaliseStatus(registration.status) === STATUS.CAPTURED &&
+    CHANNELS.includes(registration.messagingChannel) &&
+    !alreadySent.has(registration.orderId)
+  );
+
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  for (const registration of recipients) {
+    const result = await messageStudent('class_joining', registration, joiningVars(registration, details));
+    counts[result ? result.status : 'skipped'] += 1;
+  }
+  console.log(`💬 Joining details for ${courseId}: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+  return counts;
+}
+
+/**
+ * Confirm a new registration and link to its payment
+ * @param {Object} registration
+ * @param {Object} options
+ * @param {string|null} options.paymentLink - null for a QR checkout, paid at the centre
+ */
+function notifyRegistrationReceived(registration, { paymentLink }) {
+  return notify('registration_received', registration, { paymentLink });
+}
+
+/**
+ * Confirm a place on a course's waitlist
+ * @param {Object} entry - Waitlist entry (see seatService)
+ * @param {Object} options
+ * @param {number} options.position - Place in the queue, from 1
+ */
+function notifyWaitlisted(entry, { position }) {
+  return notify('waitlist_joined', { ...entry.student, courseId: entry.courseId }, { position });
+}
+
+/**
+ * Offer a freed seat to a waitlisted student, by email and their messaging channel
+ * @param {Object} registration - Created for the offer
+ * @param {Object} options
+ * @param {string} options.paymentLink
+ * @param {string} options.expiresAt - ISO time the hold lapses
+ */
+async function notifySeatOffered(registration, { paymentLink, expiresAt }) {
+  const vars = { paymentLink, expiresAt: formatDate(expiresAt) };
+  await notify('seat_offered', registration, vars);
+  await messageStudent('seat_offered', registration, vars);
+}
+
+/**
+ * Remind a student of an installment coming due, by email and their messaging channel
+ * @param {Object} registration
+ * @param {Object} installment
+ * @param {number} installment.number
+ * @param {number} installment.count - Installments in the plan
+ * @param {number} installment.amount - Minor units
+ * @param {string} installment.dueDate - YYYY-MM-DD
+ * @param {number} installment.balance - Minor units still to pay, this installment included
+ * @param {boolean} installment.overdue
+ * @param {string} installment.paymentLink
+ */
+async function notifyInstallmentReminder(registration, { number, count, amount, dueDate, balance, overdue, paymentLink }) {
+  const vars = {
+    number,
+    count,
+    amount: formatMoney(amount, registration.currency),
+    dueDate: formatDueDate(dueDate),
+    balance: formatMoney(balance, registration.currency),
+    overdue: overdue ? 'yes' : '',
+    paymentLink
+  };
+  await notify('installment_reminder', registration, vars);
+  await messageStudent('installment_reminder', registration, vars);
+}
+
+/**
+ * Confirm a later installment was paid, with what is left
+ * @param {Object} registration
+ * @param {Object} installment
+ * @param {number} installment.number
+ * @param {number} installment.count - Installments in the plan
+ * @param {number} installment.amount - Minor units
+ * @param {number} installment.balance - Minor units still to pay
+ * @param {string} installment.nextDueDate - YYYY-MM-DD, empty when fully paid
+ */
+function notifyInstallmentPaid(registration, { number, count, amount, balance, nextDueDate }) {
+  return notify('installment_paid', registration, {
+    number,
+    count,
+    amount: formatMoney(amount, registration.currency),
+    balance: balance > 0 ? formatMoney(balance, registration.currency) : '',
+    nextDueDate: nextDueDate ? formatDueDate(nextDueDate) : '',
+    fullyPaid: balance > 0 ? '' : 'yes'
+  });
+}
+
+/**
+ * Tell the student a refund reached Razorpay's processed state
+ * @param {string} orderId
+ * @param {Object} refund
+ * @param {string} refund.refundId
+ * @param {number} refund.amount - Minor units
+ */
+async function notifyRefundProcessed(orderId, { refundId, amount }) {
+  const registration = await store.findByOrderId(orderId);
+  if (!registration) return null;
+
+  return notify('refund_processed', registration, {
+    refundId,
+    refundAmount: formatMoney(amount, registration.currency),
+    totalRefunded: formatMoney(registration.refundedAmount || amount, registration.currency)
+  });
+}
+
+// Payment outcomes
+onTransition(async ({ orderId, to, payment }) => {
+  if (to !== STATUS.CAPTURED && to !== STATUS.FAILED) return;
+
+  const registration = await store.findByOrderId(orderId);
+  if (!registration) return;
+
+  if (to === STATUS.CAPTURED) {
+    // The email still goes out if the receipt cannot be produced
+    const receipt = await getReceipt(orderId).catch((error) => {
+      console.error(`❌ Receipt for order ${orderId} failed:`, error);
+      return null;
+    });
+
+    await notify('payment_captured', registration, {
+      paidAt: formatDate(payment?.created_at ? payment.created_at * 1000 : registration.statusUpdatedAt || Date.now()),
+      method: payment?.method ? payment.method.toUpperCase() : 'Online',
+      invoiceNumber: receipt ? receipt.invoice.number : '',
+      receiptLink: receipt ? createReceiptLink(orderId) || '' : ''
+    }, {
+      attachments: receipt ? [{ filename: receipt.fileName, content: receipt.pdf, contentType: 'application/pdf' }] : undefined
+    });
+    await messageStudent('payment_confirmation', registration);
+
+    // Joining details go out straight away once the catalog has a class link
+    const vars = joiningVars(registration);
+    if (vars.link) await messageStudent('class_joining', registration, vars);
+  } else {
+    await notify('payment_failed', registration, {
+      reason: payment?.error_description || '',
+      retryLink: buildPaymentLink(orderId)
+    });
+  }
+});
+
+module.exports = {
+  NOTIFICATIONS,
+  renderNotification,
+  notifyRegistrationReceived,
+  notifyRefundProcessed,
+  notifyWaitlisted,
+  notifySeatOffered,
+  notifyInstallmentReminder,
+  notifyInstallmentPaid,
+  sendJoiningDetails
+};
@@ -0,0 +1,74 @@
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { hmacSha256, verifySignature } = require('../utils/signature');
+const { fromMinorUnits } = require('../utils/currency');
+const { normaliseStatus } = require('./paymentLifecycle');
+const { outcomeForStatus } = require('./redirectService');
+
+/**
+ * Status tokens let the student's browser poll its own order without logging
+ * in. A token is an HMAC of the order id, so nothing is stored and it cannot
+ * be guessed or reused for another order. Signed with ORDER_STATUS_SECRET,
+ * falling back to RAZORPAY_KEY_SECRET.
+ */
+function getSigningSecret() {
+  return process.env.ORDER_STATUS_SECRET || process.env.RAZORPAY_KEY_SECRET || null;
+}
+
+/**
+ * Status token for an order
+ * @param {string} orderId
+ * @returns {string}
+ * @throws {Error} no signing secret configured
+ */
+function createStatusToken(orderId) {
+  const secret = getSigningSecret();
+  if (!secret) throw new Error('ORDER_STATUS_SECRET or RAZORPAY_KEY_SECRET must be set to issue status tokens');
+  return hmacSha256(`order-status.${orderId}`, secret);
+}
+
+/**
+ * Check a status token against its order
+ * @param {string} orderId
+ * @param {string} token - From createStatusToken()
+ * @throws {HttpError} 403 for a wrong token
+ */
+function verifyStatusToken(orderId, token) {
+  const secret = getSigningSecret();
+  if (!secret || !verifySignature(`order-status.${orderId}`, token, secret)) {
+    throw new HttpError(403, 'Invalid status token', 'INVALID_STATUS_TOKEN');
+  }
+}
+
+/**
+ * Current state of an order, for its student
+ * @param {string} orderId
+ * @param {string} token - From createStatusToken()
+ * @returns {{ orderId, status, outcome, amount, currency, createdAt, statusUpdatedAt }}
+ * @throws {HttpError} 403 for a wrong token, 404 for an unknown order
+ */
+async function getOrderStatus(orderId, token) {
+  verifyStatusToken(orderId, token);
+
+  const registration = await store.findByOrderId(orderId);
+  if (!registration) {
+    throw new HttpError(404, `Registration for order ${orderId} not found`, 'REGISTRATION_NOT_FOUND');
+  }
+
+  const status = normaliseStatus(registration.status);
+  return {
+    orderId,
+    status,
+    outcome: outcomeForStatus(status),
+    amount: fromMinorUnits(registration.amount, registration.currency),
+    currency: registration.currency,
+    createdAt: registration.createdAt || null,
+    statusUpdatedAt: registration.statusUpdatedAt || null
+  };
+}
+
+module.exports = {
+  createStatusToken,
+  verifyStatusToken,
+  getOrderStatus
+};
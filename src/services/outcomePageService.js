@@ -0,0 +1,91 @@
+const path = require('path');
+const company = require('../config/company');
+const { render, loadTemplate } = require('../utils/template');
+const { buildPaymentLink } = require('../utils/paymentLink');
+const { outcomeForStatus, resolveRedirect } = require('./redirectService');
+
+const PAGE_TEMPLATE = path.join(__dirname, '..', 'templates', 'pages', 'outcome.html');
+
+/**
+ * Payment outcome pages shown to a student's browser
+ * (src/templates/pages/outcome.html)
+ */
+const OUTCOME_PAGES = {
+  success: {
+    title: 'Payment Successful',
+    icon: '✅',
+    heading: 'Payment Successful!',
+    message: 'Thank you for your payment. Your receipt is on its way to your email.',
+    accent: '#28a745',
+    actionLabel: 'Continue'
+  },
+  pending: {
+    title: 'Payment Being Confirmed',
+    icon: '⏳',
+    heading: 'We are confirming your payment',
+    message: 'Your payment has reached us and is being confirmed. You will get an email as soon as it is done, so there is no need to pay again.',
+    accent: '#e0a800',
+    actionLabel: 'Continue'
+  },
+  failed: {
+    title: 'Payment Not Verified',
+    icon: '❌',
+    heading: 'We could not verify your payment',
+    message: 'The payment details we received were incomplete or invalid. If money was taken from your account, it will be confirmed or refunded automatically.',
+    accent: '#dc3545',
+    actionLabel: 'Try again'
+  },
+  already_processed: {
+    title: 'Order Already Processed',
+    icon: 'ℹ️',
+    heading: 'This order is already processed',
+    message: 'This order was already processed before this payment reached us, so nothing has changed. If you were charged twice, write to us and we will sort it out.',
+    accent: '#17a2b8',
+    actionLabel: 'Continue'
+  }
+};
+
+/**
+ * Where a page's button leads: the configured redirect for the outcome, or
+ * the order's checkout when an unpaid order can be tried again
+ */
+function actionUrl(page, { orderId, registration, statusToken }) {
+  if (page === 'failed' && orderId && registration && outcomeForStatus(registration.status) !== 'success') {
+    return buildPaymentLink(orderId);
+  }
+
+  const context = {
+    orderId,
+    courseId: registration?.courseId,
+    campaign: registration?.campaign,
+    statusToken
+  };
+  const outcome = page === 'already_processed' ? 'success' : page;
+  return resolveRedirect(outcome, context);
+}
+
+/**
+ * Render an outcome page
+ * @param {string} page - Key of OUTCOME_PAGES
+ * @param {Object} [context]
+ * @param {string} [context.orderId]
+ * @param {Object} [context.registration] - Supplies the course and campaign for the button link
+ * @param {string} [context.code] - Error code shown for support
+ * @param {string} [context.statusToken] - Added to the button link; only for a verified payment
+ * @returns {string} HTML
+ */
+function renderOutcomePage(page, { orderId, registration, code, statusToken } = {}) {
+  return render(loadTemplate(PAGE_TEMPLATE), {
+    ...OUTCOME_PAGES[page],
+    orderId,
+    code,
+    actionUrl: actionUrl(page, { orderId, registration, statusToken }),
+    companyShortName: company.shortName,
+    supportEmail: company.supportEmail
+  }, { escape: true });
+}
+
+module.exports = {
+  OUTCOME_PAGES,
+  renderOutcomePage
+};
@@ -0,0 +1,255 @@
+const EventEmitter = require('events');
+const store = require('../storage');
+const razorpay = require('../utils/razorpayClient');
+const { getCourse } = require('./catalogService');
+const { addRegistration } = require('./studentIndex');
+const { runExclusive, getPaymentRecord, recordPayment } = require('./idempotencyService');
+const { appendJsonLine, readJsonLines } = require('../utils/fileStore');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const HISTORY_FILE = 'payment-history.jsonl';
+
+/**
+ * Registration lifecycle:
+ *   created → authorized → captured | failed | cancelled → refunded
+ * A captured payment may be refunded in parts (partially_refunded) first.
+ */
+const STATUS = {
+  CREATED: 'created',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+// Allowed transitions. failed/cancelled are not terminal: the student can
+// retry on the same order, or a payment can land after checkout was closed.
+const TRANSITIONS = {
+  [STATUS.CREATED]: [STATUS.AUTHORIZED, STATUS.CAPTURED, STATUS.FAILED, STATUS.CANCELLED],
+  [STATUS.AUTHORIZED]: [STATUS.CAPTURED, STATUS.FAILED, STATUS.CANCELLED],
+  [STATUS.FAILED]: [STATUS.AUTHORIZED, STATUS.CAPTURED],
+  [STATUS.CANCELLED]: [STATUS.AUTHORIZED, STATUS.CAPTURED],
+  [STATUS.CAPTURED]: [STATUS.PARTIALLY_REFUNDED, STATUS.REFUNDED],
+  [STATUS.PARTIALLY_REFUNDED]: [STATUS.REFUNDED],
+  [STATUS.REFUNDED]: []
+};
+
+// How far a paid order has got, in order (failed/cancelled are off this path)
+const PROGRESS = [STATUS.CREATED, STATUS.AUTHORIZED, STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED, STATUS.REFUNDED];
+
+// Statuses a payment for an order with no registration yet may create it in
+const CREATING_STATUSES = [STATUS.AUTHORIZED, STATUS.CAPTURED];
+
+const events = new EventEmitter();
+
+// Rows written before the lifecycle existed use "pending" for new registrations
+const LEGACY_STATUS = { pending: STATUS.CREATED };
+
+/**
+ * Normalise a stored status to a lifecycle status
+ * @param {string} status
+ * @returns {string|null}
+ */
+function normaliseStatus(status) {
+  if (!status) return null;
+  const value = String(status).trim().toLowerCase();
+  return LEGACY_STATUS[value] || value;
+}
+
+/**
+ * Whether the lifecycle allows moving from one status to another
+ * @param {string|null} from - null when the registration has no row yet
+ * @param {string} to
+ */
+function canTransition(from, to) {
+  if (!TRANSITIONS[to]) return false;
+  if (!from) return CREATING_STATUSES.includes(to);
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Whether a registration in one status has already got as far as another,
+ * e.g. captured has reached authorized
+ * @param {string} current
+ * @param {string} status
+ */
+function hasReached(current, status) {
+  const from = normaliseStatus(current);
+  const to = normaliseStatus(status);
+  if (from === to) return true;
+  return PROGRESS.includes(from) && PROGRESS.includes(to) && PROGRESS.indexOf(from) > PROGRESS.indexOf(to);
+}
+
+/**
+ * Student and course for an order with no registration, from the notes
+ * checkoutService.createCourseOrder put on its Razorpay order (or, failing
+ * that, on the payment)
+ * @param {string} orderId
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Object|null} registration fields, or null when no known course is named
+ */
+async function studentFromOrder(orderId, payment) {
+  let notes = payment?.notes || {};
+  try {
+    const order = await razorpay.orders.fetch(orderId);
+    notes = { ...notes, ...order.notes };
+  } catch (error) {
+    console.error(`❌ Fetching order ${orderId} failed:`, error.message);
+  }
+
+  const course = notes.course_id ? getCourse(notes.course_id) : null;
+  if (!course) return null;
+
+  return {
+    name: notes.name || '',
+    email: notes.email || payment?.email || '',
+    mobile: notes.mobile || payment?.contact || '',
+    courseId: course.id,
+    campaign: notes.campaign || '',
+    couponCode: notes.coupon_code || ''
+  };
+}
+
+/**
+ * Payment fields for a registration, keeping existing values where the
+ * payment does not provide them
+ */
+function paymentFields(status, payment, existing = {}) {
+  return {
+    amount: payment?.amount || existing.amount || '', // minor units
+    currency: payment?.currency || existing.currency || DEFAULT_CURRENCY,
+    paymentId: payment?.id || existing.paymentId || '',
+    status,
+    statusUpdatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Move a registration to a new lifecycle status.
+ * Writes the registration and records the transition in the history log.
+ * An unknown order only gets a registration when an authorized or captured
+ * payment arrives for it and its Razorpay order names the course; anything
+ * else for it is ignored. Invalid
+ * transitions are rejected, logged and recorded, never written.
+ * @param {string} orderId - Razorpay order id
+ * @param {string} to - Target status (see STATUS)
+ * @param {Object} [options]
+ * @param {string} [options.source] - What triggered it, e.g. webhook:payment.captured
+ * @param {Object} [options.payment] - Razorpay payment entity, if any
+ * @param {Array<string>} [options.onlyFrom] - Apply only from one of these statuses
+ *   (for unauthenticated callers such as cancel-payment)
+ * @returns {{ applied: boolean, from: string|null, to: string, reason?: string }}
+ */
+function transition(orderId, to, { source = 'unknown', payment = null, onlyFrom = null } = {}) {
+  return runExclusive(orderId, async () => {
+    const paymentId = payment?.id || null;
+
+    // Same payment already reached this status for this order (retried
+    // webhook, GET + POST callback, payment.captured + payment_link.paid)
+    const previous = await getPaymentRecord(paymentId);
+    if (previous && previous.status === to && previous.orderId === orderId) {
+      console.log(`⏭️ Payment ${paymentId} already ${to}`);
+      return { applied: false, from: to, to, reason: 'duplicate' };
+    }
+
+    const existing = await store.findByOrderId(orderId);
+    const from = existing ? normaliseStatus(existing.status) : null;
+
+    if (!existing && !(payment && CREATING_STATUSES.includes(to))) {
+      console.warn(`⚠️ Ignored ${to} for unknown order ${orderId} (${source})`);
+      return { applied: false, from, to, reason: 'unknown_order' };
+    }
+
+    if (from === to) {
+      return { applied: false, from, to, reason: 'unchanged' };
+    }
+
+    if (onlyFrom && !onlyFrom.includes(from)) {
+      console.warn(`⚠️ Ignored ${from} → ${to} for order ${orderId} (${source})`);
+      return { applied: false, from, to, reason: 'not_applicable' };
+    }
+
+    if (!canTransition(from, to)) {
+      console.warn(`⚠️ Rejected transition ${from} → ${to} for order ${orderId} (${source})`);
+      await recordHistory({ orderId, from, to, source, paymentId, rejected: true });
+      return { applied: false, from, to, reason: 'invalid_transition' };
+    }
+
+    if (existing) {
+      await store.updateRegistration(orderId, paymentFields(to, payment, existing));
+      console.log(`✅ Order ${orderId}: ${from} → ${to}`);
+    } else {
+      // Never a course-less row: without a course the payment is left to reconciliation
+      const student = await studentFromOrder(orderId, payment);
+      if (!student) {
+        console.warn(`⚠️ Ignored ${to} for unknown order ${orderId}: its notes name no known course (${source})`);
+        await recordHistory({ orderId, from, to, source, paymentId, rejected: true });
+        return { applied: false, from, to, reason: 'unknown_order' };
+      }
+      const registration = await store.createRegistration({
+        orderId,
+        createdAt: new Date().toISOString(),
+        ...student,
+        ...paymentFields(to, payment)
+      });
+      await addRegistration(registration);
+      console.log(`✅ Order ${orderId}: created registration with status ${to}`);
+    }
+
+    await recordHistory({ orderId, from, to, source, paymentId });
+    await recordPayment(paymentId, orderId, to);
+    events.emit('transition', { orderId, from, to, source, payment });
+    return { applied: true, from, to };
+  });
+}
+
+/**
+ * Run a listener after every applied transition.
+ * Listener errors are logged and never affect the transition itself.
+ * @param {Function} listener - async ({ orderId, from, to, source, payment }) => void
+ */
+function onTransition(listener) {
+  events.on('transition', (change) => {
+    Promise.resolve()
+      .then(() => listener(change))
+      .catch((error) => console.error(`❌ Transition listener failed for order ${change.orderId}:`, error));
+  });
+}
+
+/**
+ * Append a transition (or rejected attempt) to the history log
+ */
+async function recordHistory({ orderId, from, to, source, paymentId, rejected = false }) {
+  await appendJsonLine(HISTORY_FILE, {
+    orderId,
+    from,
+    to,
+    source,
+    paymentId,
+    rejected,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Transition history for an order, oldest first
+ * @param {string} orderId
+ * @returns {Array<Object>}
+ */
+async function getHistory(orderId) {
+  const entries = await readJsonLines(HISTORY_FILE);
+  return entries.filter((entry) => entry.orderId === orderId);
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  normaliseStatus,
+  canTransition,
+  hasReached,
+  transition,
+  onTransition,
+  getHistory
+};
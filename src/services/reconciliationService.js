@@ -0,0 +1,249 @@
+const razorpay = require('../utils/razorpayClient');
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { appendJsonLine } = require('../utils/fileStore');
+const { fromMinorUnits, formatMoney } = require('../utils/currency');
+const { STATUS, normaliseStatus, canTransition, transition } = require('./paymentLifecycle');
+const { getSchedule, findInstallmentOrder, recordInstallmentPayment } = require('./installmentService');
+const { resolveRegistrationOrderId } = require('./checkoutService');
+
+const REPORTS_FILE = 'reconciliation-reports.jsonl';
+const LOOKBACK_DAYS = Number(process.env.RECONCILE_LOOKBACK_DAYS) || 30;
+// A registration with no payment attempt after this long is reported
+const UNPAID_AFTER_HOURS = Number(process.env.RECONCILE_UNPAID_AFTER_HOURS) || 24;
+const PAGE_SIZE = 100;
+
+let running = false;
+
+// Statuses Razorpay may still move (failed/cancelled orders can be paid later)
+const NON_FINAL_STATUSES = [STATUS.CREATED, STATUS.AUTHORIZED, STATUS.FAILED, STATUS.CANCELLED];
+
+// Best payment attempt on an order wins; a refunded payment was captured first
+const PAYMENT_STATUS = {
+  captured: { status: STATUS.CAPTURED, rank: 3 },
+  refunded: { status: STATUS.CAPTURED, rank: 3 },
+  authorized: { status: STATUS.AUTHORIZED, rank: 2 },
+  failed: { status: STATUS.FAILED, rank: 1 }
+};
+
+/**
+ * The payment attempt that decides an order's status, or null
+ * @param {Array<Object>} payments - Razorpay payment entities
+ */
+function pickDecisivePayment(payments) {
+  return payments
+    .filter((payment) => PAYMENT_STATUS[payment.status])
+    .sort((a, b) => PAYMENT_STATUS[b.status].rank - PAYMENT_STATUS[a.status].rank)[0] || null;
+}
+
+/**
+ * Every payment created in the lookback window
+ * @param {Date} since
+ */
+async function fetchRecentPayments(since) {
+  const from = Math.floor(since.getTime() / 1000);
+  const to = Math.floor(Date.now() / 1000);
+  const payments = [];
+
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await razorpay.payments.all({ from, to, count: PAGE_SIZE, skip });
+    payments.push(...(page.items || []));
+    if (!page.items || page.items.length < PAGE_SIZE) break;
+  }
+  return payments;
+}
+
+/**
+ * Reconcile registrations against Razorpay.
+ *
+ * 1. Every non-final registration in the lookback window is checked with
+ *    orders.fetchPayments and moved to the status Razorpay reports.
+ * 2. Payments captured in the window are matched to registrations, payment
+ *    link and QR code payments through their checkout (as their webhooks are).
+ *    A later installment's payment is matched to its schedule and recorded
+ *    when missed.
+ *
+ * Discrepancies reported:
+ *   paid_without_registration - captured payment whose order has no registration
+ *   registration_without_payment - no payment attempt after RECONCILE_UNPAID_AFTER_HOURS
+ *   amount_mismatch - captured amount differs from the registration's amount
+ *   uncorrectable_status - Razorpay's status is not a valid transition from ours
+ *
+ * Only one reconciliation runs at a time, in the server process (the
+ * `npm run reconcile` command asks the server to run it), so corrections
+ * reach every lifecycle listener (see lifecycleListeners.js).
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report only, change nothing
+ * @param {number} [options.lookbackDays]
+ * @returns {Object} report
+ * @throws {HttpError} 409 RECONCILIATION_RUNNING when one is already running
+ */
+async function reconcile(options = {}) {
+  if (running) {
+    throw new HttpError(409, 'A reconciliation is already running', 'RECONCILIATION_RUNNING');
+  }
+  running = true;
+  try {
+    return await runReconciliation(options);
+  } finally {
+    running = false;
+  }
+}
+
+async function runReconciliation({ dryRun = false, lookbackDays = LOOKBACK_DAYS }) {
+  const startedAt = new Date();
+  const since = new Date(startedAt.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+  const unpaidBefore = new Date(startedAt.getTime() - UNPAID_AFTER_HOURS * 60 * 60 * 1000);
+
+  const report = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    dryRun,
+    lookbackDays,
+    checked: 0,
+    corrected: [],
+    discrepancies: [],
+    errors: []
+  };
+
+  const registrations = await store.listRegistrations();
+  const byOrderId = new Map(registrations.map((registration) => [registration.orderId, registration]));
+
+  // 1. Non-final registrations
+  const open = registrations.filter((registration) =>
+    NON_FINAL_STATUSES.includes(normaliseStatus(registration.status)) &&
+    (!registration.createdAt || new Date(registration.createdAt) >= since)
+  );
+
+  for (const registration of open) {
+    const { orderId } = registration;
+    report.checked += 1;
+
+    try {
+      const { items: payments = [] } = await razorpay.orders.fetchPayments(orderId);
+      const decisive = pickDecisivePayment(payments);
+
+      if (!decisive) {
+        if (registration.createdAt && new Date(registration.createdAt) < unpaidBefore) {
+          report.discrepancies.push({
+            type: 'registration_without_payment',
+            orderId,
+            message: `No payment attempt since ${registration.createdAt}`
+          });
+        }
+        continue;
+      }
+
+      const from = normaliseStatus(registration.status);
+      const to = PAYMENT_STATUS[decisive.status].status;
+      if (from === to) continue;
+
+      if (!canTransition(from, to)) {
+        report.discrepancies.push({
+          type: 'uncorrectable_status',
+          orderId,
+          paymentId: decisive.id,
+          expected: to,
+          actual: from,
+          message: `Razorpay reports ${decisive.status}, registration is ${from}`
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        await transition(orderId, to, { source: 'reconciliation', payment: decisive });
+      }
+      report.corrected.push({ orderId, paymentId: decisive.id, from, to });
+    } catch (error) {
+      console.error(`❌ Reconciliation failed for order ${orderId}:`, error.message);
+      report.errors.push({ orderId, error: error.message });
+    }
+  }
+
+  // 2. Captured payments in the window, compared with the amounts read before any correction
+  try {
+    const payments = await fetchRecentPayments(since);
+    for (const payment of payments.filter((item) => item.captured || item.status === 'captured')) {
+      // Payment links carry their own order and QR payments may have none,
+      // so the registration is found the way their webhooks find it
+      const orderId = await resolveRegistrationOrderId(payment);
+      const registration = orderId ? byOrderId.get(orderId) : null;
+
+      // Later installments have their own orders
+      const installment = registration ? null : await findInstallmentOrder(payment.order_id);
+      if (installment) {
+        const schedule = await getSchedule(installment.orderId);
+        if (schedule.installments[installment.number - 1].status !== 'paid') {
+          if (!dryRun) {
+            await recordInstallmentPayment(payment.order_id, payment, { source: 'reconciliation' });
+          }
+          report.corrected.push({ orderId: installment.orderId, paymentId: payment.id, installment: installment.number, from: 'pending', to: 'paid' });
+        }
+        continue;
+      }
+
+      if (!registration) {
+        report.discrepancies.push({
+          type: 'paid_without_registration',
+          orderId,
+          paymentId: payment.id,
+          actual: fromMinorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          message: `Captured payment ${payment.id} (${payment.email || 'no email'}) has no registration`
+        });
+      } else if (registration.amount !== '' &&
+        (Number(registration.amount) !== payment.amount || (registration.currency && registration.currency !== payment.currency))) {
+        report.discrepancies.push({
+          type: 'amount_mismatch',
+          orderId,
+          paymentId: payment.id,
+          expected: fromMinorUnits(registration.amount, registration.currency),
+          actual: fromMinorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          message: `Registration amount ${formatMoney(registration.amount, registration.currency)}, captured ${formatMoney(payment.amount, payment.currency)}`
+        });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Reconciliation could not list payments:', error.message);
+    report.errors.push({ error: error.message });
+  }
+
+  report.finishedAt = new Date().toISOString();
+  await appendJsonLine(REPORTS_FILE, report);
+
+  console.log(
+    `🧾 Reconciliation ${dryRun ? '(dry run) ' : ''}checked ${report.checked}, ` +
+    `corrected ${report.corrected.length}, discrepancies ${report.discrepancies.length}, errors ${report.errors.length}`
+  );
+  return report;
+}
+
+let timer = null;
+
+/**
+ * Run reconcile() every RECONCILE_INTERVAL_MINUTES (disabled when unset or 0)
+ */
+function startSchedule() {
+  const minutes = Number(process.env.RECONCILE_INTERVAL_MINUTES) || 0;
+  if (!minutes || timer) return;
+
+  timer = setInterval(() => {
+    if (running) return;
+    reconcile().catch((error) => console.error('❌ Scheduled reconciliation failed:', error));
+  }, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`🧾 Reconciliation scheduled every ${minutes} minute(s)`);
+}
+
+function stopSchedule() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  reconcile,
+  startSchedule,
+  stopSchedule
+};
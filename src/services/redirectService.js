@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { STATUS, normaliseStatus } = require('./paymentLifecycle');
+
+const DEFAULT_REDIRECTS_PATH = path.join(__dirname, '..', 'config', 'redirects.json');
+
+// Where the student is sent for each outcome
+const OUTCOME_TARGET = {
+  success: 'success',
+  pending: 'success',
+  failed: 'failure',
+  cancelled: 'cancel'
+};
+
+const STATUS_OUTCOME = {
+  [STATUS.CREATED]: 'pending',
+  [STATUS.AUTHORIZED]: 'pending',
+  [STATUS.CAPTURED]: 'success',
+  [STATUS.PARTIALLY_REFUNDED]: 'success',
+  [STATUS.REFUNDED]: 'success',
+  [STATUS.FAILED]: 'failed',
+  [STATUS.CANCELLED]: 'cancelled'
+};
+
+/**
+ * Redirect targets, per environment:
+ *   { [env]: { allowedHosts, default: { success, failure, cancel },
+ *              courses: { [courseId]: targets }, campaigns: { [campaign]: targets } } }
+ * Loaded from REDIRECTS_PATH (JSON), defaulting to src/config/redirects.json.
+ * The environment is REDIRECT_ENV, else NODE_ENV, else development.
+ * Every target must be http(s) on one of the environment's allowedHosts
+ * (plus REDIRECT_ALLOWED_HOSTS), checked when the file is loaded.
+ */
+let config = null;
+
+function getEnvironment() {
+  return process.env.REDIRECT_ENV || process.env.NODE_ENV || 'development';
+}
+
+function allowedHost(url, allowedHosts) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'https:' || protocol === 'http:') && allowedHosts.includes(hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+function loadRedirectConfig() {
+  if (config) return config;
+
+  const configPath = process.env.REDIRECTS_PATH || DEFAULT_REDIRECTS_PATH;
+  const environment = getEnvironment();
+  const settings = JSON.parse(fs.readFileSync(configPath, 'utf8'))[environment];
+  if (!settings || !settings.default) {
+    throw new Error(`No redirect targets for environment "${environment}" in ${configPath}`);
+  }
+
+  const allowedHosts = [
+    ...(settings.allowedHosts || []),
+    ...(process.env.REDIRECT_ALLOWED_HOSTS || '').split(',')
+  ].map((host) => host.trim().toLowerCase()).filter(Boolean);
+
+  const scopes = {
+    default: settings.default,
+    ...Object.fromEntries(Object.entries(settings.courses || {}).map(([id, targets]) => [`courses.${id}`, targets])),
+    ...Object.fromEntries(Object.entries(settings.campaigns || {}).map(([id, targets]) => [`campaigns.${id}`, targets]))
+  };
+  for (const [scope, targets] of Object.entries(scopes)) {
+    for (const [target, url] of Object.entries(targets)) {
+      if (!allowedHost(url, allowedHosts)) {
+        throw new Error(`Redirect ${environment}.${scope}.${target} (${url}) is not an http(s) URL on an allowed host (${allowedHosts.join(', ')})`);
+      }
+    }
+  }
+  for (const target of new Set(Object.values(OUTCOME_TARGET))) {
+    if (!settings.default[target]) {
+      throw new Error(`Redirect ${environment}.default.${target} is missing in ${configPath}`);
+    }
+  }
+
+  config = {
+    environment,
+    allowedHosts,
+    default: settings.default,
+    courses: settings.courses || {},
+    campaigns: settings.campaigns || {}
+  };
+  return config;
+}
+
+/**
+ * Outcome shown to the student for a registration status
+ * @param {string} status
+ * @returns {'success'|'pending'|'failed'|'cancelled'}
+ */
+function outcomeForStatus(status) {
+  return STATUS_OUTCOME[normaliseStatus(status)] || 'pending';
+}
+
+/**
+ * URL to send the student to after checkout. A campaign's targets win over
+ * the course's, which win over the environment default. The order id and
+ * outcome are added as order_id and outcome query params, and the status
+ * token (see orderStatusService) as token so the page can poll the order.
+ * @param {string} outcome - success | pending | failed | cancelled
+ * @param {Object} [context]
+ * @param {string} [context.orderId]
+ * @param {string} [context.courseId]
+ * @param {string} [context.campaign]
+ * @param {string} [context.statusToken]
+ * @returns {string}
+ */
+function resolveRedirect(outcome, { orderId, courseId, campaign, statusToken } = {}) {
+  const { default: defaults, courses, campaigns } = loadRedirectConfig();
+  const target = OUTCOME_TARGET[outcome];
+  if (!target) throw new Error(`Unknown redirect outcome "${outcome}"`);
+
+  const targets = {
+    ...defaults,
+    ...(courseId && courses[courseId]),
+    ...(campaign && campaigns[campaign])
+  };
+
+  const url = new URL(targets[target]);
+  if (orderId) url.searchParams.set('order_id', orderId);
+  url.searchParams.set('outcome', outcome);
+  if (statusToken) url.searchParams.set('token', statusToken);
+  return url.toString();
+}
+
+module.exports = {
+  loadRedirectConfig,
+  outcomeForStatus,
+  resolveRedirect
+};
@@ -0,0 +1,212 @@
+const razorpay = require('../utils/razorpayClient');
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { appendJsonLine, readJsonLines } = require('../utils/fileStore');
+const { DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits, formatMoney } = require('../utils/currency');
+const { runExclusive } = require('./idempotencyService');
+const { STATUS, normaliseStatus, transition } = require('./paymentLifecycle');
+const { notifyRefundProcessed } = require('./notificationService');
+const { findInstallmentOrder, getSchedule, paidTotal } = require('./installmentService');
+
+const REFUNDS_FILE = 'refunds.jsonl';
+const REFUNDABLE_STATUSES = [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED];
+
+// Registration refundStatus for each refund webhook
+const REFUND_EVENT_STATUS = {
+  'refund.created': 'created',
+  'refund.processed': 'processed',
+  'refund.failed': 'failed'
+};
+
+/**
+ * Refunds recorded for an order (issued here or seen via webhooks), oldest first.
+ * The log is append-only; a refund appears once per status change. Amounts
+ * are in minor units of the entry's currency (INR for entries without one).
+ * @param {string} orderId
+ */
+async function listRefunds(orderId) {
+  const entries = await readJsonLines(REFUNDS_FILE);
+  return entries.filter((entry) => entry.orderId === orderId);
+}
+
+// Latest entry per refund (the log has one per status change)
+function latestRefunds(entries) {
+  return [...new Map(entries.map((entry) => [entry.refundId, entry])).values()];
+}
+
+/**
+ * The payment a refund goes against: the registration's own (installment 1)
+ * or a later installment's, each refundable up to what it charged
+ * @returns {{ paymentId, amount, number }} amount in minor units
+ * @throws {HttpError} 409 NOT_REFUNDABLE when that payment was not captured
+ */
+async function refundTarget(registration, number) {
+  if (number === 1) {
+    if (!registration.paymentId) {
+      throw new HttpError(409, `Order ${registration.orderId} has no captured payment to refund`, 'NOT_REFUNDABLE');
+    }
+    return { paymentId: registration.paymentId, amount: Number(registration.amount), number };
+  }
+
+  const installment = (await getSchedule(registration.orderId))?.installments[number - 1];
+  if (!installment || installment.status !== 'paid' || !installment.paymentId) {
+    throw new HttpError(409, `Installment ${number} of order ${registration.orderId} has no captured payment to refund`, 'NOT_REFUNDABLE');
+  }
+  return { paymentId: installment.paymentId, amount: installment.amount, number };
+}
+
+/**
+ * Processed refund totals per payment id, over every order
+ * @returns {Map<string, number>} minor units
+ */
+async function refundedByPayment() {
+  const totals = new Map();
+  for (const entry of latestRefunds(await readJsonLines(REFUNDS_FILE))) {
+    if (entry.status !== 'processed') continue;
+    totals.set(entry.paymentId, (totals.get(entry.paymentId) || 0) + entry.amount);
+  }
+  return totals;
+}
+
+/**
+ * Issue a full or partial refund through Razorpay.
+ * The registration's status only changes when Razorpay reports the refund
+ * processed (refund.processed webhook); until then refundStatus is "created".
+ * @param {string} orderId - Registration order id
+ * @param {Object} options
+ * @param {number|string} [options.amount] - In the registration currency's major unit; omit to refund
+ *   what is left of the payment
+ * @param {number} [options.installment] - Which installment's payment to refund (default 1, the
+ *   registration's own)
+ * @param {string} options.reason
+ * @param {string} options.issuedBy - Admin id (see adminAuth)
+ * @returns {Object} Razorpay refund entity
+ * @throws {HttpError} unknown order, not refundable, or invalid amount
+ */
+function issueRefund(orderId, { amount, installment = 1, reason, issuedBy }) {
+  return runExclusive(`refund:${orderId}`, async () => {
+    const registration = await store.findByOrderId(orderId);
+    if (!registration) {
+      throw new HttpError(404, `Registration for order ${orderId} not found`, 'REGISTRATION_NOT_FOUND');
+    }
+    if (!REFUNDABLE_STATUSES.includes(normaliseStatus(registration.status))) {
+      throw new HttpError(409, `Order ${orderId} has no captured payment to refund`, 'NOT_REFUNDABLE');
+    }
+    const target = await refundTarget(registration, installment);
+
+    // Refunds of this payment that Razorpay has not failed, including ones not yet processed
+    const currency = registration.currency || DEFAULT_CURRENCY;
+    const refunded = latestRefunds(await listRefunds(orderId))
+      .filter((refund) => refund.paymentId === target.paymentId && refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const remaining = target.amount - refunded;
+
+    const minor = amount === undefined || amount === null || amount === '' ? remaining : toMinorUnits(amount, currency);
+    if (!Number.isInteger(minor) || minor <= 0 || minor > remaining) {
+      throw new HttpError(
+        400,
+        `Refund amount must be between ${formatMoney(1, currency)} and ${formatMoney(remaining, currency)}`,
+        'INVALID_REFUND_AMOUNT',
+        { refundable: fromMinorUnits(remaining, currency), currency }
+      );
+    }
+
+    const refund = await razorpay.payments.refund(target.paymentId, {
+      amount: minor,
+      notes: { reason, issued_by: issuedBy, order_id: orderId }
+    });
+
+    await appendJsonLine(REFUNDS_FILE, {
+      refundId: refund.id,
+      orderId,
+      paymentId: target.paymentId,
+      installment: target.number,
+      amount: minor,
+      currency,
+      status: refund.status === 'processed' ? 'processed' : 'created',
+      reason,
+      issuedBy,
+      source: 'admin',
+      at: new Date().toISOString()
+    });
+
+    await store.updateRegistration(orderId, { refundId: refund.id, refundStatus: 'created' });
+    console.log(`💸 Refund ${refund.id} of ${formatMoney(minor, currency)} issued for order ${orderId} by ${issuedBy}`);
+    return refund;
+  });
+}
+
+/**
+ * Resolve the registration a refund's payment belongs to (a later
+ * installment's payment has its own order)
+ */
+async function resolveOrderId(refund, payment) {
+  let orderId = payment?.order_id || refund.notes?.order_id;
+  if (!orderId) orderId = (await razorpay.payments.fetch(refund.payment_id)).order_id;
+
+  const installment = await findInstallmentOrder(orderId);
+  return installment ? installment.orderId : orderId;
+}
+
+/**
+ * Apply a refund.created / refund.processed / refund.failed webhook
+ * @param {Object} event - Parsed Razorpay webhook body
+ */
+async function handleRefundEvent(event) {
+  const refund = event.payload.refund.entity;
+  const payment = event.payload.payment?.entity || null;
+  const refundStatus = REFUND_EVENT_STATUS[event.event];
+  const orderId = await resolveOrderId(refund, payment);
+
+  const registration = await store.findByOrderId(orderId);
+  if (!registration) {
+    console.warn(`⚠️ Refund ${refund.id} for unknown order ${orderId}`);
+    return;
+  }
+
+  // Keep who issued it and why when the refund was issued through this API
+  const issued = (await listRefunds(orderId)).find((entry) => entry.refundId === refund.id);
+  await appendJsonLine(REFUNDS_FILE, {
+    refundId: refund.id,
+    orderId,
+    paymentId: refund.payment_id,
+    amount: refund.amount,
+    currency: refund.currency || registration.currency || DEFAULT_CURRENCY,
+    status: refundStatus,
+    reason: refund.notes?.reason || issued?.reason || '',
+    issuedBy: refund.notes?.issued_by || issued?.issuedBy || 'razorpay',
+    source: `webhook:${event.event}`,
+    at: new Date().toISOString()
+  });
+
+  const changes = { refundId: refund.id, refundStatus };
+  const schedule = await getSchedule(orderId);
+  if (refundStatus === 'processed') {
+    // Across all of the registration's payments (each installment is its own)
+    const processed = latestRefunds(await listRefunds(orderId))
+      .filter((entry) => entry.status === 'processed')
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    // With a single payment, Razorpay's own total also covers refunds whose webhooks were missed
+    changes.refundedAmount = schedule ? processed : Math.max(processed, payment?.amount_refunded || 0); // minor units
+  }
+  await store.updateRegistration(orderId, changes);
+
+  if (refundStatus === 'processed') {
+    const fullyRefunded = changes.refundedAmount >= (schedule ? paidTotal(schedule) : Number(registration.amount));
+    await transition(orderId, fullyRefunded ? STATUS.REFUNDED : STATUS.PARTIALLY_REFUNDED, {
+      source: `webhook:${event.event}`
+    });
+
+    // Not awaited: the webhook response must not wait on the mail server
+    notifyRefundProcessed(orderId, { refundId: refund.id, amount: refund.amount })
+      .catch((error) => console.error(`❌ Refund email failed for order ${orderId}:`, error));
+  }
+}
+
+module.exports = {
+  REFUND_EVENT_STATUS,
+  issueRefund,
+  listRefunds,
+  refundedByPayment,
+  handleRefundEvent
+};
@@ -0,0 +1,207 @@
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { appendJsonLine } = require('../utils/fileStore');
+const { validateOrThrow } = require('../utils/validation');
+const { fromMinorUnits } = require('../utils/currency');
+const { registrationFormSchema } = require('../validators/registrationForm');
+const { normaliseStatus, getHistory } = require('./paymentLifecycle');
+const { listRefunds } = require('./refundService');
+const { getInstallmentSummary } = require('./installmentService');
+const { addRegistration } = require('./studentIndex');
+
+const EDITS_FILE = 'registration-edits.jsonl';
+const CONTACT_FIELDS = ['name', 'mobile', 'email', 'city', 'messagingChannel'];
+// Stored in minor units, shown in the currency's major unit
+const MONEY_FIELDS = ['amount', 'discount', 'refundedAmount', 'balance'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const contactSchema = Object.fromEntries(
+  CONTACT_FIELDS.map((field) => [field, registrationFormSchema[field]])
+);
+
+/**
+ * A registration as the admin API shows it: amounts in the currency's major unit
+ * @param {Object} registration
+ */
+function presentRegistration(registration) {
+  const presented = { ...registration };
+  for (const field of MONEY_FIELDS) {
+    if (field in presented) presented[field] = fromMinorUnits(presented[field], registration.currency);
+  }
+  return presented;
+}
+
+/**
+ * Parse a date filter; a bare date (YYYY-MM-DD) as "to" covers the whole day
+ */
+function parseDate(value, field, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, 'Invalid filters', 'VALIDATION_FAILED', { fields: { [field]: 'must be a date' } });
+  }
+  return date;
+}
+
+function parsePositiveInt(value, field, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, 'Invalid filters', 'VALIDATION_FAILED', { fields: { [field]: 'must be a positive integer' } });
+  }
+  return number;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build a predicate for registration filters (shared by search and exports)
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Matches name, email, mobile, order id or payment id
+ * @param {string|Array} [filters.status] - One or more statuses (comma separated)
+ * @param {string} [filters.from] - createdAt on or after (ISO date/time)
+ * @param {string} [filters.to] - createdAt on or before (a bare date includes the whole day)
+ * @param {string} [filters.city] - Case-insensitive exact match
+ * @param {string} [filters.courseId]
+ * @returns {function(Object): boolean}
+ * @throws {HttpError} invalid filter values
+ */
+function createRegistrationFilter(filters = {}) {
+  const statuses = toList(filters.status).map(normaliseStatus);
+  const from = parseDate(filters.from, 'from');
+  const to = parseDate(filters.to, 'to', { endOfDay: true });
+  const city = String(filters.city || '').trim().toLowerCase();
+  const courseId = String(filters.courseId || '').trim();
+  const q = String(filters.q || '').trim().toLowerCase();
+
+  return (registration) => {
+    if (statuses.length > 0 && !statuses.includes(normaliseStatus(registration.status))) return false;
+
+    const createdAt = registration.createdAt ? new Date(registration.createdAt) : null;
+    if ((from || to) && (!createdAt || Number.isNaN(createdAt.getTime()))) return false;
+    if (from && createdAt < from) return false;
+    if (to && createdAt > to) return false;
+
+    if (city && String(registration.city || '').trim().toLowerCase() !== city) return false;
+    if (courseId && registration.courseId !== courseId) return false;
+
+    if (q) {
+      const haystack = [registration.name, registration.email, registration.mobile, registration.orderId, registration.paymentId]
+        .map((value) => String(value || '').toLowerCase());
+      if (!haystack.some((value) => value.includes(q))) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * List registrations, newest first.
+ * @param {Object} [filters] - Usually req.query; see createRegistrationFilter(), plus:
+ * @param {number} [filters.page] - 1-based
+ * @param {number} [filters.pageSize] - Up to 100
+ * @returns {{ registrations: Array<Object>, pagination: Object }}
+ * @throws {HttpError} invalid filter values
+ */
+async function searchRegistrations(filters = {}) {
+  const matchesFilters = createRegistrationFilter(filters);
+  const page = parsePositiveInt(filters.page, 'page', 1);
+  const pageSize = Math.min(parsePositiveInt(filters.pageSize, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+  const matches = (await store.listRegistrations()).filter(matchesFilters);
+  matches.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+  const start = (page - 1) * pageSize;
+  return {
+    registrations: matches.slice(start, start + pageSize).map(presentRegistration),
+    pagination: {
+      page,
+      pageSize,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / pageSize)
+    }
+  };
+}
+
+/**
+ * A registration with its lifecycle history, refunds and installment schedule
+ * @param {string} orderId
+ * @throws {HttpError} 404 when the order has no registration
+ */
+async function getRegistrationDetails(orderId) {
+  const registration = await store.findByOrderId(orderId);
+  if (!registration) {
+    throw new HttpError(404, `Registration for order ${orderId} not found`, 'REGISTRATION_NOT_FOUND');
+  }
+
+  const [history, refunds, installments] = await Promise.all([
+    getHistory(orderId),
+    listRefunds(orderId),
+    getInstallmentSummary(orderId)
+  ]);
+  return {
+    registration: presentRegistration(registration),
+    history,
+    refunds: refunds.map((refund) => ({ ...refund, amount: fromMinorUnits(refund.amount, refund.currency || registration.currency) })),
+    installments
+  };
+}
+
+/**
+ * Edit a registration's contact fields (name, mobile, email, city, messagingChannel).
+ * Values are validated and normalised like the registration form; every edit
+ * is recorded in data/registration-edits.jsonl with its before/after values.
+ * @param {string} orderId
+ * @param {Object} changes
+ * @param {Object} options
+ * @param {string} options.updatedBy - Admin id
+ * @returns {Object} updated registration
+ * @throws {HttpError} unknown order, no editable fields, or invalid values
+ */
+async function updateContactDetails(orderId, changes = {}, { updatedBy }) {
+  const unknown = Object.keys(changes).filter((field) => !CONTACT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Only contact fields can be edited', 'VALIDATION_FAILED', {
+      fields: Object.fromEntries(unknown.map((field) => [field, 'cannot be edited']))
+    });
+  }
+
+  const value = validateOrThrow(contactSchema, changes, { partial: true, message: 'Invalid contact details' });
+  if (value.messagingChannel === 'none') value.messagingChannel = '';
+  if (Object.keys(value).length === 0) {
+    throw new HttpError(400, `Provide at least one of: ${CONTACT_FIELDS.join(', ')}`, 'VALIDATION_FAILED');
+  }
+
+  const existing = await store.findByOrderId(orderId);
+  if (!existing) {
+    throw new HttpError(404, `Registration for order ${orderId} not found`, 'REGISTRATION_NOT_FOUND');
+  }
+
+  const updated = await store.updateRegistration(orderId, value);
+  // A new email or mobile must still find this registration as a duplicate
+  await addRegistration(updated);
+  await appendJsonLine(EDITS_FILE, {
+    orderId,
+    updatedBy,
+    before: Object.fromEntries(Object.keys(value).map((field) => [field, existing[field] ?? ''])),
+    after: value,
+    at: new Date().toISOString()
+  });
+
+  console.log(`✏️ Registration ${orderId} contact details updated by ${updatedBy}: ${Object.keys(value).join(', ')}`);
+  return presentRegistration(updated);
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  presentRegistration,
+  createRegistrationFilter,
+  searchRegistrations,
+  getRegistrationDetails,
+  updateContactDetails
+};
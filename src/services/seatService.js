@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const store = require('../storage');
+const HttpError = require('../utils/httpError');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { buildPaymentLink } = require('../utils/paymentLink');
+const { runExclusive } = require('./idempotencyService');
+const { getCourse, listCourses, coursePrices, priceCourse } = require('./catalogService');
+const { registerStudent } = require('./checkoutService');
+const { notifyWaitlisted, notifySeatOffered } = require('./notificationService');
+const { STATUS, normaliseStatus, onTransition } = require('./paymentLifecycle');
+
+const SEATS_FILE = 'seats.json';
+const HOLD_MINUTES = Number(process.env.SEAT_HOLD_MINUTES) || 15;
+const OFFER_HOURS = Number(process.env.WAITLIST_OFFER_HOURS) || 24;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// A waitlist entry picked for a seat whose order was never created (e.g. the
+// server stopped meanwhile) goes back in the queue after this long
+const OFFERING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Registrations taking a seat once paid (or authorized)
+const SEAT_TAKING_STATUSES = [STATUS.AUTHORIZED, STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED];
+// failed is not among them: the student can retry on the same order, so its
+// hold stays until it expires
+const RELEASING_STATUSES = [STATUS.CANCELLED, STATUS.REFUNDED];
+
+/**
+ * Seat holds and waitlists for courses with a seat limit, kept in DATA_DIR as
+ *   { holds: { [orderId or reservationId]: hold }, waitlist: [entry], counted: [courseId] }
+ * hold:  { orderId, courseId, status: held | confirmed | released, heldAt,
+ *          expiresAt, waitlistId?, reservationId?, releasedAt?, reason? }
+ *        (a seat taken while its order is being created is keyed by a
+ *        reservationId, with orderId null, until the order exists)
+ * entry: { id, courseId, status: waiting | offering | offered | converted | expired,
+ *          joinedAt, student, couponCode, campaign, installmentPlan, currency,
+ *          offeringAt?, orderId?, offeredAt?, offerExpiresAt? }
+ * A new order holds its seat for SEAT_HOLD_MINUTES (WAITLIST_OFFER_HOURS for
+ * a waitlist offer); payment confirms it, and cancellation, a full refund or
+ * expiry releases it to the next person on the waitlist. A failed payment
+ * keeps it: the student may retry on the same order before it expires.
+ * Seats are counted from these holds alone: lifecycle transitions keep them
+ * up to date, and registrations are read once per course (counted) to pick
+ * up orders paid before the course had a limit.
+ * Every change runs under one lock, so two students never get the last seat.
+ */
+async function loadSeats() {
+  const state = await readJson(SEATS_FILE, { holds: {}, waitlist: [] });
+  return { counted: [], ...state };
+}
+
+/**
+ * Run fn(state, offers) under the seat lock and save the state afterwards.
+ * Waitlist entries fn pushes to offers ({ course, entry }) get their orders
+ * and emails once the lock is released, so Razorpay and the mail server never
+ * hold it (storage only does for a course's one-off count, see countPaidSeats).
+ */
+async function withSeats(fn) {
+  const offers = [];
+  try {
+    return await runExclusive('seats', async () => {
+      const state = await loadSeats();
+      try {
+        return await fn(state, offers);
+      } finally {
+        await writeJson(SEATS_FILE, state);
+      }
+    });
+  } finally {
+    if (offers.length > 0) {
+      makeOffers(offers).catch((error) => console.error('❌ Seat offers failed:', error));
+    }
+  }
+}
+
+function activeHold(hold, now) {
+  return hold.status === 'confirmed' || (hold.status === 'held' && new Date(hold.expiresAt) > now);
+}
+
+/**
+ * Seats taken in a course: confirmed and unexpired holds, plus waitlist
+ * entries whose offer is being made
+ */
+function takenSeats(courseId, state, now) {
+  const holds = Object.values(state.holds).filter((hold) => hold.courseId === courseId && activeHold(hold, now));
+  const offering = state.waitlist.filter((entry) => entry.courseId === courseId && entry.status === 'offering');
+  return holds.length + offering.length;
+}
+
+/**
+ * Record a confirmed hold for every paid registration of courses not counted
+ * yet (the first time a course is seen with a seat limit)
+ */
+async function countPaidSeats(courses, state, now) {
+  const uncounted = new Set(courses.filter((course) => course.seats && !state.counted.includes(course.id)).map((course) => course.id));
+  if (uncounted.size === 0) return;
+
+  for await (const registration of store.iterateRegistrations()) {
+    if (!uncounted.has(registration.courseId) || !SEAT_TAKING_STATUSES.includes(normaliseStatus(registration.status))) continue;
+    if (state.holds[registration.orderId]?.status === 'confirmed') continue;
+    state.holds[registration.orderId] = {
+      orderId: registration.orderId,
+      courseId: registration.courseId,
+      status: 'confirmed',
+      heldAt: registration.createdAt || now.toISOString(),
+      expiresAt: null,
+      confirmedAt: now.toISOString()
+    };
+  }
+  state.counted.push(...uncounted);
+  console.log(`🪑 Counted paid seats for ${[...uncounted].join(', ')}`);
+}
+
+function waitingEntries(courseId, state) {
+  return state.waitlist.filter((entry) => entry.courseId === courseId && entry.status === 'waiting');
+}
+
+function releaseHold(state, hold, reason, now) {
+  hold.status = 'released';
+  hold.reason = reason;
+  hold.releasedAt = now.toISOString();
+
+  const entry = hold.waitlistId && state.waitlist.find((item) => item.id === hold.waitlistId);
+  if (entry && entry.status === 'offered') entry.status = 'expired';
+  console.log(`🪑 Seat for ${hold.orderId ? `order ${hold.orderId}` : `reservation ${hold.reservationId}`} released (${reason})`);
+}
+
+/**
+ * Offer a seat to a waitlist entry picked under the lock: create its order
+ * and registration, then hold the seat for WAITLIST_OFFER_HOURS and email
+ * the payment link
+ */
+async function makeOffer({ course, entry }) {
+  let registration;
+  try {
+    // A currency withdrawn from the catalog since means paying in the default one
+    const currency = entry.currency && entry.currency in coursePrices(course) ? entry.currency : null;
+    ({ registration } = await registerStudent(priceCourse(course, { currency }), entry.student, {
+      couponCode: entry.couponCode,
+      campaign: entry.campaign,
+      // A plan withdrawn from the catalog since means paying in full
+      installmentPlan: (course.installmentPlans || []).find((plan) => plan.id === entry.installmentPlan) || null
+    }));
+  } catch (error) {
+    // e.g. their coupon has since expired; back in the queue for the next sweep
+    console.error(`❌ Could not offer a seat to waitlist entry ${entry.id}:`, error.message);
+    await withSeats(async (state) => {
+      const current = state.waitlist.find((item) => item.id === entry.id);
+      if (current?.status === 'offering') Object.assign(current, { status: 'waiting', offeringAt: undefined });
+    });
+    return;
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OFFER_HOURS * 60 * 60 * 1000).toISOString();
+  await withSeats(async (state) => {
+    state.holds[registration.orderId] = {
+      orderId: registration.orderId,
+      courseId: course.id,
+      status: 'held',
+      heldAt: now.toISOString(),
+      expiresAt,
+      waitlistId: entry.id
+    };
+    const current = state.waitlist.find((item) => item.id === entry.id);
+    Object.assign(current, {
+      status: 'offered',
+      offeringAt: undefined,
+      orderId: registration.orderId,
+      offeredAt: now.toISOString(),
+      offerExpiresAt: expiresAt
+    });
+  });
+  console.log(`🎟️ Seat in ${course.id} offered to waitlist entry ${entry.id} (order ${registration.orderId})`);
+
+  await notifySeatOffered(registration, { paymentLink: buildPaymentLink(registration.orderId), expiresAt })
+    .catch((error) => console.error(`❌ Seat offer for order ${registration.orderId} failed:`, error));
+}
+
+// One offer at a time, in waitlist order
+async function makeOffers(offers) {
+  for (const offer of offers) {
+    await makeOffer(offer);
+  }
+}
+
+/**
+ * Expire a course's stale holds, then pick waitlist entries for the free
+ * seats in order (see makeOffer)
+ * @returns {Promise<number>} Seats taken
+ */
+async function sweepCourse(course, state, offers, { now = new Date() } = {}) {
+  await countPaidSeats([course], state, now);
+
+  for (const hold of Object.values(state.holds)) {
+    if (hold.courseId === course.id && hold.status === 'held' && new Date(hold.expiresAt) <= now) {
+      releaseHold(state, hold, 'expired', now);
+    }
+  }
+  for (const entry of state.waitlist) {
+    if (entry.courseId === course.id && entry.status === 'offering'
+      && now - new Date(entry.offeringAt) > OFFERING_TIMEOUT_MS) {
+      Object.assign(entry, { status: 'waiting', offeringAt: undefined });
+    }
+  }
+
+  let taken = takenSeats(course.id, state, now);
+  for (const entry of waitingEntries(course.id, state)) {
+    if (taken >= course.seats) break;
+    Object.assign(entry, { status: 'offering', offeringAt: now.toISOString() });
+    offers.push({ course, entry: { ...entry } });
+    taken += 1;
+  }
+  return taken;
+}
+
+/**
+ * Register a student against a course's seat limit. While seats are free one
+ * is taken under the lock, the order is created outside it, and the hold is
+ * then moved to the order (or given back when creating it fails); once the
+ * course is full the student joins the waitlist instead.
+ * @param {Object} course
+ * @param {Object} student - Form values for the waitlist
+ * @param {Function} register - async () => ({ order, registration? }), run only when a seat is free
+ * @param {Object} [options] - { couponCode, campaign, installmentPlan (id), currency } kept with a waitlist entry
+ * @returns {{ order, registration } | { waitlisted: true, entry, position }}
+ */
+async function reserveSeat(course, student, register, { couponCode, campaign, installmentPlan, currency } = {}) {
+  if (!course.seats) return register();
+
+  const result = await withSeats(async (state, offers) => {
+    const now = new Date();
+    const taken = await sweepCourse(course, state, offers, { now });
+
+    if (taken < course.seats) {
+      const reservationId = `rsv_${crypto.randomUUID()}`;
+      state.holds[reservationId] = {
+        orderId: null,
+        reservationId,
+        courseId: course.id,
+        status: 'held',
+        heldAt: now.toISOString(),
+        // Also frees the seat should the server stop before the order exists
+        expiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000).toISOString()
+      };
+      return { reservationId };
+    }
+
+    // One place in the queue per email address
+    let entry = waitingEntries(course.id, state).find((item) => item.student.email === student.email);
+    if (!entry) {
+      entry = {
+        id: crypto.randomUUID(),
+        courseId: course.id,
+        status: 'waiting',
+        joinedAt: now.toISOString(),
+        student,
+        couponCode: couponCode || '',
+        campaign: campaign || '',
+        installmentPlan: installmentPlan || '',
+        currency: currency || ''
+      };
+      state.waitlist.push(entry);
+      console.log(`📝 ${student.email} joined the waitlist for ${course.id}`);
+    }
+    return { waitlisted: true, entry, position: waitingEntries(course.id, state).indexOf(entry) + 1 };
+  });
+
+  if (result.waitlisted) {
+    notifyWaitlisted(result.entry, { position: result.position })
+      .catch((error) => console.error(`❌ Waitlist email for ${result.entry.student.email} failed:`, error));
+    return result;
+  }
+
+  let created;
+  try {
+    created = await register();
+  } catch (error) {
+    // Give the seat back, to the waitlist if anyone is on it
+    await withSeats(async (state, offers) => {
+      delete state.holds[result.reservationId];
+      await sweepCourse(course, state, offers);
+    });
+    throw error;
+  }
+
+  await withSeats(async (state) => {
+    const reservation = state.holds[result.reservationId];
+    delete state.holds[result.reservationId];
+    // A payment may already have confirmed the order's seat meanwhile
+    if (state.holds[created.order.id]) return;
+
+    const now = new Date();
+    state.holds[created.order.id] = {
+      orderId: created.order.id,
+      courseId: course.id,
+      status: 'held',
+      heldAt: reservation?.heldAt || now.toISOString(),
+      expiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000).toISOString()
+    };
+  });
+  return created;
+}
+
+/**
+ * Hold the seat of an existing, unpaid order again (a student returning to
+ * an order they opened earlier), taking a free seat if its hold has lapsed
+ * @param {Object} course
+ * @param {string} orderId
+ * @returns {boolean} false when the hold lapsed and the course is now full
+ */
+async function renewHold(course, orderId) {
+  if (!course.seats) return true;
+
+  return withSeats(async (state, offers) => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000).toISOString();
+    const hold = state.holds[orderId];
+
+    if (hold && activeHold(hold, now)) {
+      // A waitlist offer may already run for longer
+      if (hold.status === 'held' && hold.expiresAt < expiresAt) hold.expiresAt = expiresAt;
+      return true;
+    }
+
+    const taken = await sweepCourse(course, state, offers, { now });
+    if (taken >= course.seats) return false;
+
+    state.holds[orderId] = { orderId, courseId: course.id, status: 'held', heldAt: now.toISOString(), expiresAt };
+    return true;
+  });
+}
+
+/**
+ * Confirm an order's seat (payment authorized or captured). An order paid
+ * without a hold (from create-order) takes a seat in a limited course too.
+ * @param {string} orderId
+ * @param {Object} [payment] - Razorpay payment entity; its order's notes name the course
+ */
+async function confirmSeat(orderId, payment = null) {
+  // Looked up outside the lock; only needed when the order has no hold yet
+  const known = Boolean((await loadSeats()).holds[orderId]);
+  const courseId = known ? null : (await store.findByOrderId(orderId))?.courseId || payment?.notes?.course_id;
+  if (!known && !getCourse(courseId)?.seats) return;
+
+  await withSeats(async (state) => {
+    const now = new Date();
+    const hold = state.holds[orderId]
+      || (state.holds[orderId] = { orderId, courseId, status: 'held', heldAt: now.toISOString() });
+    if (hold.status === 'confirmed') return;
+
+    if (hold.status === 'released') {
+      console.warn(`⚠️ Order ${orderId} was paid after its seat was released (${hold.reason}); the course may be over capacity`);
+    }
+    const wasActive = activeHold(hold, now);
+    Object.assign(hold, { status: 'confirmed', expiresAt: null, confirmedAt: now.toISOString() });
+
+    const course = getCourse(hold.courseId);
+    if (!wasActive && course?.seats && takenSeats(course.id, state, now) > course.seats) {
+      console.warn(`⚠️ ${course.id} is over capacity after order ${orderId} was paid without a held seat`);
+    }
+
+    const entry = hold.waitlistId && state.waitlist.find((item) => item.id === hold.waitlistId);
+    if (entry) entry.status = 'converted';
+  });
+}
+
+/**
+ * Release an order's seat and offer it to the waitlist
+ * @param {string} orderId
+ * @param {string} reason - cancelled, refunded
+ */
+async function releaseSeat(orderId, reason) {
+  await withSeats(async (state, offers) => {
+    const hold = state.holds[orderId];
+    if (!hold || hold.status === 'released') return;
+
+    const now = new Date();
+    releaseHold(state, hold, reason, now);
+    const course = getCourse(hold.courseId);
+    if (course?.seats) await sweepCourse(course, state, offers, { now });
+  });
+}
+
+/**
+ * Expire stale holds and fill free seats from the waitlists of every course
+ */
+async function sweepExpiredHolds() {
+  await withSeats(async (state, offers) => {
+    const limited = listCourses().filter((item) => item.seats);
+    await countPaidSeats(limited, state, new Date());
+    for (const course of limited) {
+      await sweepCourse(course, state, offers);
+    }
+  });
+}
+
+/**
+ * Seats, holds and waitlist of a course
+ * @param {string} courseId
+ * @returns {{ courseId, seats, taken, left, holds, waitlist }}
+ * @throws {HttpError} unknown course
+ */
+async function getSeatSummary(courseId) {
+  const course = getCourse(courseId);
+  if (!course) {
+    throw new HttpError(404, `Course ${courseId} not found`, 'COURSE_NOT_FOUND');
+  }
+
+  const state = await loadSeats();
+  const now = new Date();
+  const taken = takenSeats(courseId, state, now);
+  return {
+    courseId,
+    seats: course.seats || null,
+    taken,
+    left: course.seats ? Math.max(course.seats - taken, 0) : null,
+    holds: Object.values(state.holds).filter((hold) => hold.courseId === courseId && hold.status === 'held' && activeHold(hold, now)),
+    waitlist: state.waitlist.filter((entry) => entry.courseId === courseId && ['waiting', 'offering', 'offered'].includes(entry.status))
+  };
+}
+
+/**
+ * Seats left per course id (null for courses without a limit)
+ * @param {Array} courses
+ */
+async function getSeatsLeft(courses) {
+  const limited = courses.filter((course) => course.seats);
+  if (limited.length === 0) return {};
+
+  const state = await loadSeats();
+  const now = new Date();
+  return Object.fromEntries(limited.map((course) => [
+    course.id,
+    Math.max(course.seats - takenSeats(course.id, state, now), 0)
+  ]));
+}
+
+onTransition(async ({ orderId, to, payment }) => {
+  if (to === STATUS.AUTHORIZED || to === STATUS.CAPTURED) await confirmSeat(orderId, payment);
+  else if (RELEASING_STATUSES.includes(to)) await releaseSeat(orderId, to);
+});
+
+let timer = null;
+
+/**
+ * Sweep expired holds every minute (see server.js, which runs the first
+ * sweep before serving so seat counts are complete)
+ */
+function startSchedule() {
+  if (timer) return;
+  timer = setInterval(() => {
+    sweepExpiredHolds().catch((error) => console.error('❌ Seat hold sweep failed:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+}
+
+function stopSchedule() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  reserveSeat,
+  renewHold,
+  confirmSeat,
+  releaseSeat,
+  sweepExpiredHolds,
+  getSeatSummary,
+  getSeatsLeft,
+  startSchedule,
+  stopSchedule
+};
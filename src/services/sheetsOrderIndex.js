@@ -0,0 +1,90 @@
+const { readJson, writeJson } = require('../utils/fileStore');
+
+const INDEX_FILE = 'sheets-order-index.json';
+// Force a rebuild after this long even if nothing looked wrong
+const INDEX_TTL_MS = Number(process.env.SHEETS_INDEX_TTL_MS) || 10 * 60 * 1000;
+
+/**
+ * In-memory order id → sheet row index, persisted in DATA_DIR.
+ * Entries are only hints: callers verify the row still holds the order id
+ * and rebuild the index when it does not.
+ */
+let index = null;
+
+/**
+ * Load the persisted index for a spreadsheet (ignored if it belongs to another sheet)
+ * @param {string} spreadsheetId
+ */
+async function load(spreadsheetId) {
+  if (index && index.spreadsheetId === spreadsheetId) return index;
+
+  const persisted = await readJson(INDEX_FILE, null);
+  index = persisted && persisted.spreadsheetId === spreadsheetId
+    ? { ...persisted, rows: new Map(Object.entries(persisted.rows)) }
+    : { spreadsheetId, builtAt: null, rows: new Map() };
+  return index;
+}
+
+async function save() {
+  await writeJson(INDEX_FILE, {
+    spreadsheetId: index.spreadsheetId,
+    builtAt: index.builtAt,
+    rows: Object.fromEntries(index.rows)
+  });
+}
+
+/**
+ * Row index for an order, or null when not indexed
+ * @param {string} orderId
+ */
+function get(orderId) {
+  return index ? index.rows.get(orderId) || null : null;
+}
+
+/**
+ * Record the row an order lives in (e.g. from an append response)
+ * @param {string} orderId
+ * @param {number} rowIndex - 1-based row number
+ */
+async function set(orderId, rowIndex) {
+  if (!index || !orderId) return;
+  index.rows.set(orderId, rowIndex);
+  await save();
+}
+
+/**
+ * Replace the whole index from a fresh read of the order id column
+ * @param {Array<string>} orderIds - Column values, row 1 first
+ */
+async function replaceAll(orderIds) {
+  const rows = new Map();
+  orderIds.forEach((orderId, i) => {
+    if (orderId && !rows.has(orderId)) rows.set(orderId, i + 1);
+  });
+  index.rows = rows;
+  index.builtAt = Date.now();
+  await save();
+}
+
+/**
+ * Whether the index was never built or is older than SHEETS_INDEX_TTL_MS
+ */
+function isStale() {
+  return !index || !index.builtAt || Date.now() - index.builtAt > INDEX_TTL_MS;
+}
+
+/**
+ * Milliseconds since the last rebuild (Infinity if never built)
+ */
+function age() {
+  return index && index.builtAt ? Date.now() - index.builtAt : Infinity;
+}
+
+module.exports = {
+  load,
+  get,
+  set,
+  replaceAll,
+  isStale,
+  age
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('../utils/fileStore');
+const {
+  buildRow,
+  appendRows,
+  batchUpdateRows,
+  findRowByOrderId
+} = require('./googleSheetsService');
+
+const OUTBOX_FILE = 'sheets-outbox.json';
+const FLUSH_INTERVAL_MS = Number(process.env.SHEETS_OUTBOX_INTERVAL_MS) || 5000;
+const MAX_ATTEMPTS = Number(process.env.SHEETS_OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = Number(process.env.SHEETS_OUTBOX_BASE_DELAY_MS) || 2000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * Persistent outbox for Google Sheets writes.
+ *
+ * Writes are queued in DATA_DIR and flushed in the background, so a quota
+ * or 5xx error never loses a paid registration:
+ *   - pending updates to the same order are coalesced into its newest item
+ *   - an order's items are sent one at a time, oldest first, so a retried
+ *     item never overwrites newer values queued behind it
+ *   - due items are sent as one values.append plus one values.batchUpdate
+ *   - failures are retried with exponential backoff
+ *   - items that keep failing (or fail permanently) move to the dead-letter list
+ *
+ * Item: { id, type: 'append' | 'update', orderId, values, attempts,
+ *         nextAttemptAt, createdAt, lastError }
+ */
+let outbox = null;
+let flushing = null;
+let timer = null;
+let flushScheduled = false;
+
+async function load() {
+  if (!outbox) {
+    outbox = await readJson(OUTBOX_FILE, { pending: [], deadLetter: [] });
+  }
+  return outbox;
+}
+
+async function save() {
+  await writeJson(OUTBOX_FILE, outbox);
+}
+
+function newItem(type, orderId, values) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    orderId,
+    values: { ...values },
+    attempts: 0,
+    nextAttemptAt: 0,
+    createdAt: new Date().toISOString(),
+    lastError: null
+  };
+}
+
+/**
+ * Flush soon, batching writes enqueued in the same tick
+ */
+function scheduleFlush() {
+  if (flushScheduled) return;
+  flushScheduled = true;
+  setImmediate(() => {
+    flushScheduled = false;
+    flush().catch((error) => console.error('❌ Sheets outbox flush failed:', error));
+  });
+}
+
+/**
+ * Queue a new registration row
+ * @param {Object} registration - Named fields (see REGISTRATION_COLUMNS)
+ */
+async function enqueueAppend(registration) {
+  const current = await load();
+  current.pending.push(newItem('append', registration.orderId, registration));
+  await save();
+  scheduleFlush();
+}
+
+/**
+ * Queue field updates for an order, merging into the order's newest item
+ * (an unsent append or update) unless it is being sent
+ * @param {string} orderId
+ * @param {Object} values - Named fields to change
+ */
+async function enqueueUpdate(orderId, values) {
+  const current = await load();
+  const items = current.pending.filter((item) => item.orderId === orderId);
+  const waiting = items.length > 0 && !items[items.length - 1].inFlight ? items[items.length - 1] : null;
+
+  if (waiting) {
+    Object.assign(waiting.values, values);
+  } else {
+    current.pending.push(newItem('update', orderId, values));
+  }
+  await save();
+  scheduleFlush();
+}
+
+/**
+ * Fields queued but not yet written for an order (merged in queue order)
+ * @param {string} orderId
+ * @returns {{ values: Object, hasAppend: boolean }|null}
+ */
+async function getPendingValues(orderId) {
+  const current = await load();
+  const items = current.pending.filter((item) => item.orderId === orderId);
+  if (items.length === 0) return null;
+
+  return {
+    values: Object.assign({}, ...items.map((item) => item.values)),
+    hasAppend: items.some((item) => item.type === 'append')
+  };
+}
+
+/**
+ * Registrations queued for append but not yet in the sheet
+ * @returns {Array<Object>}
+ */
+async function getPendingAppends() {
+  const current = await load();
+  return current.pending
+    .filter((item) => item.type === 'append')
+    .map((item) => ({
+      ...item.values,
+      ...(Object.assign({}, ...current.pending
+        .filter((other) => other.orderId === item.orderId && other.type === 'update')
+        .map((other) => other.values)))
+    }));
+}
+
+/**
+ * Quota, timeout, server and network errors are worth retrying;
+ * other 4xx responses (bad range, no permission) will never succeed
+ */
+function isRetryable(error) {
+  const status = Number(error.response?.status || error.status || error.code);
+  if (!status || Number.isNaN(status)) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function markFailed(items, error) {
+  const now = Date.now();
+  for (const item of items) {
+    item.inFlight = false;
+    item.attempts += 1;
+    item.lastError = error.message;
+
+    if (!isRetryable(error) || item.attempts >= MAX_ATTEMPTS) {
+      console.error(`☠️ Sheets outbox item ${item.id} (${item.type} ${item.orderId}) moved to dead letters: ${error.message}`);
+      outbox.pending = outbox.pending.filter((other) => other !== item);
+      outbox.deadLetter.push({ ...item, failedAt: new Date().toISOString() });
+    } else {
+      const delay = Math.min(BASE_DELAY_MS * 2 ** (item.attempts - 1), MAX_DELAY_MS);
+      item.nextAttemptAt = now + delay;
+      console.warn(`🔁 Sheets outbox item ${item.id} retry ${item.attempts}/${MAX_ATTEMPTS} in ${delay}ms: ${error.message}`);
+    }
+  }
+}
+
+function markSent(items) {
+  outbox.pending = outbox.pending.filter((item) => !items.includes(item));
+}
+
+async function sendAppends(items) {
+  if (items.length === 0) return;
+  try {
+    const rows = await Promise.all(items.map((item) => buildRow(item.values)));
+    await appendRows(rows);
+    markSent(items);
+  } catch (error) {
+    markFailed(items, error);
+  }
+}
+
+async function sendUpdates(items) {
+  const ready = [];
+  for (const item of items) {
+    try {
+      const rowIndex = await findRowByOrderId(item.orderId);
+      if (rowIndex === -1) {
+        markFailed([item], new Error(`Order ${item.orderId} not found in sheet`));
+      } else {
+        ready.push({ item, rowIndex });
+      }
+    } catch (error) {
+      markFailed([item], error);
+    }
+  }
+
+  if (ready.length === 0) return;
+  try {
+    await batchUpdateRows(ready.map(({ item, rowIndex }) => ({ rowIndex, values: item.values })));
+    markSent(ready.map(({ item }) => item));
+  } catch (error) {
+    markFailed(ready.map(({ item }) => item), error);
+  }
+}
+
+/**
+ * Send every due item. Only one flush runs at a time.
+ */
+function flush() {
+  if (!flushing) {
+    flushing = (async () => {
+      const current = await load();
+      const now = Date.now();
+
+      // Only an order's oldest item is sent; later ones (e.g. updates behind a
+      // failed append or update waiting to be retried) follow once it is written
+      const oldest = new Map();
+      for (const item of current.pending) {
+        if (!oldest.has(item.orderId)) oldest.set(item.orderId, item);
+      }
+      const due = current.pending.filter((item) =>
+        oldest.get(item.orderId) === item && !item.inFlight && item.nextAttemptAt <= now);
+      if (due.length === 0) return;
+
+      const appends = due.filter((item) => item.type === 'append');
+      const updates = due.filter((item) => item.type === 'update');
+
+      [...appends, ...updates].forEach((item) => { item.inFlight = true; });
+      await sendAppends(appends);
+      await sendUpdates(updates);
+      await save();
+
+      // Items that were waiting behind one just written go out straight away
+      const sent = due.some((item) => !current.pending.includes(item));
+      if (sent && current.pending.some((item) => item.nextAttemptAt <= Date.now())) scheduleFlush();
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+/**
+ * Start flushing on an interval (also picks up items left from a previous run)
+ */
+async function start() {
+  const current = await load();
+  current.pending.forEach((item) => { item.inFlight = false; });
+  if (!timer) {
+    timer = setInterval(() => {
+      flush().catch((error) => console.error('❌ Sheets outbox flush failed:', error));
+    }, FLUSH_INTERVAL_MS);
+    timer.unref();
+  }
+  scheduleFlush();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Items that could not be written
+ * @returns {Array<Object>}
+ */
+async function listDeadLetters() {
+  const current = await load();
+  return current.deadLetter;
+}
+
+/**
+ * Move dead-letter items back to the queue for another round of attempts
+ * @param {string} [id] - Item id; omit to requeue everything
+ * @returns {number} Items requeued
+ */
+async function requeueDeadLetters(id) {
+  const current = await load();
+  const selected = current.deadLetter.filter((item) => !id || item.id === id);
+  current.deadLetter = current.deadLetter.filter((item) => !selected.includes(item));
+
+  for (const { failedAt, ...item } of selected) {
+    current.pending.push({ ...item, attempts: 0, nextAttemptAt: 0, inFlight: false });
+  }
+  await save();
+  scheduleFlush();
+  return selected.length;
+}
+
+/**
+ * Queue sizes
+ */
+async function getStats() {
+  const current = await load();
+  return { pending: current.pending.length, deadLetter: current.deadLetter.length };
+}
+
+module.exports = {
+  enqueueAppend,
+  enqueueUpdate,
+  getPendingValues,
+  getPendingAppends,
+  flush,
+  start,
+  stop,
+  listDeadLetters,
+  requeueDeadLetters,
+  getStats
+};
@@ -0,0 +1,102 @@
+const store = require('../storage');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { runExclusive } = require('./idempotencyService');
+
+const INDEX_FILE = 'student-index.json';
+
+/**
+ * Order ids per course and student contact, persisted in DATA_DIR as
+ *   { builtAt, keys: { "<courseId>|email|<email>": [orderId],
+ *                      "<courseId>|mobile|<last 10 digits>": [orderId] } }
+ * so a new registration is checked against the student's earlier ones
+ * without reading every registration. Built from storage on first use, then
+ * kept up to date as registrations are created or their contact details
+ * edited. Entries are only hints: callers re-check the registrations.
+ */
+let index = null;
+
+function normaliseEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Last 10 digits, so rows stored with +91 / 0 prefixes still match
+function normaliseMobile(mobile) {
+  return String(mobile || '').replace(/\D/g, '').slice(-10);
+}
+
+function keysFor({ courseId, email, mobile }) {
+  if (!courseId) return [];
+  const normalisedEmail = normaliseEmail(email);
+  const normalisedMobile = normaliseMobile(mobile);
+  return [
+    normalisedEmail && `${courseId}|email|${normalisedEmail}`,
+    normalisedMobile.length === 10 && `${courseId}|mobile|${normalisedMobile}`
+  ].filter(Boolean);
+}
+
+// Returns whether anything was added
+function addTo(current, registration) {
+  let added = false;
+  for (const key of keysFor(registration)) {
+    const orderIds = current.keys[key] || (current.keys[key] = []);
+    if (!orderIds.includes(registration.orderId)) {
+      orderIds.push(registration.orderId);
+      added = true;
+    }
+  }
+  return added;
+}
+
+async function load() {
+  if (index) return index;
+
+  const persisted = await readJson(INDEX_FILE, null);
+  if (persisted) {
+    index = persisted;
+    return index;
+  }
+
+  // First use: one pass over every registration
+  const built = { builtAt: new Date().toISOString(), keys: {} };
+  let count = 0;
+  for await (const registration of store.iterateRegistrations()) {
+    if (registration.orderId) addTo(built, registration);
+    count += 1;
+  }
+  await writeJson(INDEX_FILE, built);
+  console.log(`🗂️ Student index built (${count} registrations)`);
+  index = built;
+  return index;
+}
+
+/**
+ * Index a registration under its course, email and mobile
+ * @param {Object} registration - { orderId, courseId, email, mobile }
+ */
+async function addRegistration(registration) {
+  if (!registration?.orderId) return;
+  await runExclusive('student-index', async () => {
+    const current = await load();
+    if (addTo(current, registration)) await writeJson(INDEX_FILE, current);
+  });
+}
+
+/**
+ * Order ids registered for a course with this email or mobile
+ * @param {string} courseId
+ * @param {Object} student - { email, mobile }
+ * @returns {Array<string>}
+ */
+async function findOrderIds(courseId, { email, mobile }) {
+  return runExclusive('student-index', async () => {
+    const current = await load();
+    return [...new Set(keysFor({ courseId, email, mobile }).flatMap((key) => current.keys[key] || []))];
+  });
+}
+
+module.exports = {
+  normaliseEmail,
+  normaliseMobile,
+  addRegistration,
+  findOrderIds
+};
@@ -0,0 +1,53 @@
+const { appendJsonLine, readJsonLines } = require('../utils/fileStore');
+
+const LOG_FILE = process.env.WEBHOOK_EVENT_LOG_FILE || 'webhook-events.jsonl';
+
+/**
+ * Record a received webhook event in the append-only event log.
+ * Entries are never rewritten, so the log can be audited and replayed.
+ * @param {Object} entry
+ * @param {string|null} entry.eventId - x-razorpay-event-id header
+ * @param {string|null} entry.eventType - e.g. payment.captured
+ * @param {string} entry.payload - Raw body exactly as received
+ * @param {string} entry.receivedAt - ISO timestamp
+ * @param {string} entry.outcome - processed | ignored | duplicate | invalid_signature | invalid_payload | error
+ * @param {string} [entry.error] - Error message when outcome is error
+ */
+async function recordEvent(entry) {
+  try {
+    await appendJsonLine(LOG_FILE, {
+      eventId: entry.eventId || null,
+      eventType: entry.eventType || null,
+      payload: entry.payload,
+      receivedAt: entry.receivedAt,
+      processedAt: new Date().toISOString(),
+      outcome: entry.outcome,
+      error: entry.error || null
+    });
+  } catch (error) {
+    // Never fail the webhook response because the audit log could not be written
+    console.error('❌ Error writing webhook event log:', error);
+  }
+}
+
+/**
+ * Read logged events, optionally filtered
+ * @param {Object} [filter]
+ * @param {string} [filter.eventId]
+ * @param {string} [filter.eventType]
+ * @param {string} [filter.outcome]
+ * @returns {Array<Object>}
+ */
+async function readEvents(filter = {}) {
+  const events = await readJsonLines(LOG_FILE);
+  return events.filter((event) =>
+    (!filter.eventId || event.eventId === filter.eventId) &&
+    (!filter.eventType || event.eventType === filter.eventType) &&
+    (!filter.outcome || event.outcome === filter.outcome)
+  );
+}
+
+module.exports = {
+  recordEvent,
+  readEvents
+};
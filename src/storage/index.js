@@ -0,0 +1,81 @@
+/**
+ * Registration storage.
+ *
+ * STORAGE_DRIVER selects the system of record:
+ *   sheets (default) - Google Sheets
+ *   local            - JSON file in DATA_DIR, no Google credentials needed
+ * With STORAGE_DRIVER=local, SHEETS_MIRROR=true also copies every write to
+ * Google Sheets, making the sheet a mirror of the local store.
+ *
+ * Every store implements:
+ *   init({ readOnly })                      - prepare the store before serving; readOnly
+ *                                             (for scripts beside the server) starts no
+ *                                             background writers
+ *   createRegistration(registration)        - add a registration
+ *   findByOrderId(orderId)                  - registration or null
+ *   updateRegistration(orderId, changes)    - merge changes, return the result
+ *   listRegistrations()                     - all registrations
+ *   iterateRegistrations({ pageSize })      - async iterator over all registrations,
+ *                                             read page by page where the backend allows
+ *
+ * A registration holds the student's form data plus its payment fields:
+ *   { orderId, createdAt, name, mobile, email, city, experience,
+ *     amount, currency, paymentId, status, statusUpdatedAt }
+ */
+const { createLocalStore } = require('./localStore');
+const { createSheetsStore } = require('./sheetsStore');
+
+/**
+ * Wrap a primary store so writes are copied to a mirror.
+ * Mirror failures are logged, never surfaced: the primary is authoritative.
+ */
+function withMirror(primary, mirror) {
+  async function copy(action, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`❌ Mirror (${mirror.name}) ${action} failed:`, error.message);
+    }
+  }
+
+  return {
+    ...primary,
+    name: `${primary.name}+${mirror.name}`,
+
+    async init(options) {
+      await primary.init(options);
+      await mirror.init(options);
+    },
+
+    async createRegistration(registration) {
+      const created = await primary.createRegistration(registration);
+      await copy('create', () => mirror.createRegistration(created));
+      return created;
+    },
+
+    async updateRegistration(orderId, changes) {
+      const updated = await primary.updateRegistration(orderId, changes);
+      await copy('update', () => mirror.updateRegistration(orderId, changes));
+      return updated;
+    }
+  };
+}
+
+function createStore() {
+  const driver = (process.env.STORAGE_DRIVER || 'sheets').toLowerCase();
+
+  switch (driver) {
+    case 'sheets':
+      return createSheetsStore();
+
+    case 'local': {
+      const local = createLocalStore();
+      return process.env.SHEETS_MIRROR === 'true' ? withMirror(local, createSheetsStore()) : local;
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "sheets" or "local".`);
+  }
+}
+
+module.exports = createStore();
@@ -0,0 +1,67 @@
+const { readJson, writeJson } = require('../utils/fileStore');
+
+/**
+ * Local JSON file store for registrations.
+ * Lets the backend run without Google credentials (development, tests).
+ */
+function createLocalStore({ fileName = process.env.LOCAL_STORE_FILE || 'registrations.json' } = {}) {
+  let registrations = null;
+
+  async function load() {
+    if (!registrations) {
+      registrations = await readJson(fileName, {});
+    }
+    return registrations;
+  }
+
+  async function save() {
+    await writeJson(fileName, registrations);
+  }
+
+  return {
+    name: 'local',
+
+    async init() {
+      await load();
+    },
+
+    async createRegistration(registration) {
+      const all = await load();
+      if (all[registration.orderId]) {
+        throw new Error(`Registration for order ${registration.orderId} already exists`);
+      }
+      all[registration.orderId] = { ...registration };
+      await save();
+      return { ...all[registration.orderId] };
+    },
+
+    async findByOrderId(orderId) {
+      const all = await load();
+      return all[orderId] ? { ...all[orderId] } : null;
+    },
+
+    async updateRegistration(orderId, changes) {
+      const all = await load();
+      if (!all[orderId]) {
+        throw new Error(`Registration for order ${orderId} not found`);
+      }
+      all[orderId] = { ...all[orderId], ...changes, orderId };
+      await save();
+      return { ...all[orderId] };
+    },
+
+    async listRegistrations() {
+      const all = await load();
+      return Object.values(all).map((registration) => ({ ...registration }));
+    },
+
+    async *iterateRegistrations() {
+      const all = await load();
+      for (const registration of Object.values(all)) {
+        yield { ...registration };
+      }
+    }
+  };
+}
+
+module.exports = { createLocalStore };
@@ -0,0 +1,101 @@
+const {
+  loadColumnMap,
+  readRow,
+  getAllRows,
+  getRows,
+  getRowByOrderId,
+  rebuildOrderIndex
+} = require('../services/googleSheetsService');
+const outbox = require('../services/sheetsOutbox');
+
+/**
+ * Google Sheets store for registrations: one row per registration.
+ * Columns are located by their header (see REGISTRATION_COLUMNS), not position.
+ * Writes go through the persistent outbox (see sheetsOutbox.js); reads merge
+ * in queued writes so callers always see their own changes.
+ */
+function createSheetsStore() {
+  async function find(orderId) {
+    const [found, pending] = await Promise.all([
+      getRowByOrderId(orderId),
+      outbox.getPendingValues(orderId)
+    ]);
+    if (!found && !pending?.hasAppend) return null;
+
+    const stored = found ? await readRow(found.row) : {};
+    return { ...stored, ...(pending ? pending.values : {}), orderId };
+  }
+
+  return {
+    name: 'sheets',
+
+    async init({ readOnly = false } = {}) {
+      // Throws (and stops startup) when required headers are missing
+      await loadColumnMap({ refresh: true });
+      // The order index and outbox belong to the server; a read-only process
+      // still sees queued writes but never sends them
+      if (readOnly) return;
+      await rebuildOrderIndex();
+      await outbox.start();
+    },
+
+    async createRegistration(registration) {
+      await outbox.enqueueAppend(registration);
+      return { ...registration };
+    },
+
+    async findByOrderId(orderId) {
+      return find(orderId);
+    },
+
+    async updateRegistration(orderId, changes) {
+      const existing = await find(orderId);
+      if (!existing) {
+        throw new Error(`Registration for order ${orderId} not found in sheet`);
+      }
+      const { orderId: ignored, ...fields } = changes;
+      await outbox.enqueueUpdate(orderId, fields);
+      return { ...existing, ...fields };
+    },
+
+    async listRegistrations() {
+      const rows = await getAllRows();
+      // Row 1 holds the column headers
+      const stored = (await Promise.all(rows.slice(1).map(readRow)))
+        .filter((registration) => registration.orderId);
+
+      const registrations = await Promise.all(stored.map(async (registration) => {
+        const pending = await outbox.getPendingValues(registration.orderId);
+        return pending ? { ...registration, ...pending.values } : registration;
+      }));
+
+      const inSheet = new Set(stored.map((registration) => registration.orderId));
+      const queued = (await outbox.getPendingAppends())
+        .filter((registration) => !inSheet.has(registration.orderId));
+
+      return [...registrations, ...queued];
+    },
+
+    async *iterateRegistrations({ pageSize = 500 } = {}) {
+      const seen = new Set();
+      // Row 1 holds the column headers
+      for (let start = 2; ; start += pageSize) {
+        const rows = await getRows(start, pageSize);
+        for (const row of rows) {
+          const registration = await readRow(row);
+          if (!registration.orderId) continue;
+          seen.add(registration.orderId);
+          const pending = await outbox.getPendingValues(registration.orderId);
+          yield pending ? { ...registration, ...pending.values } : registration;
+        }
+        if (rows.length < pageSize) break;
+      }
+
+      for (const registration of await outbox.getPendingAppends()) {
+        if (!seen.has(registration.orderId)) yield registration;
+      }
+    }
+  };
+}
+
+module.exports = { createSheetsStore };
@@ -0,0 +1,31 @@
+const { getBaseUrl } = require('./baseUrl');
+
+/**
+ * Call the running server's admin API (at BASE_URL, authenticated with
+ * ADMIN_API_KEY). The npm scripts that change state go through it, so the
+ * work happens in the process that owns the store, the Sheets outbox and
+ * the lifecycle listeners.
+ * @param {string} method
+ * @param {string} path - e.g. /api/admin/reconciliation
+ * @param {Object} [body] - sent as JSON
+ * @returns {Object} the parsed response body
+ * @throws {Error} ADMIN_API_KEY is not set, or the server answered with an error
+ */
+async function callAdminApi(method, path, body) {
+  if (!process.env.ADMIN_API_KEY) {
+    throw new Error('ADMIN_API_KEY must be set to one of the server\'s admin keys');
+  }
+
+  const response = await fetch(`${getBaseUrl()}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'x-api-key': process.env.ADMIN_API_KEY },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Server answered ${response.status}${result.code ? ` ${result.code}` : ''}: ${result.error || 'no details'}`);
+  }
+  return result;
+}
+
+module.exports = { callAdminApi };
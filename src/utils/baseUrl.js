@@ -0,0 +1,17 @@
+/**
+ * Public URL of this backend (BASE_URL), used for Razorpay callbacks and
+ * links sent to students. Outside production it defaults to localhost on PORT.
+ * @returns {string} Without a trailing slash
+ * @throws {Error} BASE_URL is not set in production
+ */
+function getBaseUrl() {
+  const baseUrl = (process.env.BASE_URL || '').trim().replace(/\/+$/, '');
+  if (baseUrl) return baseUrl;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('BASE_URL must be set in production (the public URL of this backend)');
+  }
+  return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+module.exports = { getBaseUrl };
@@ -0,0 +1,147 @@
+/**
+ * Money in minor units.
+ *
+ * Razorpay takes amounts in a currency's smallest unit: paise for INR,
+ * cents for USD, yen for JPY (zero-decimal) and fils for KWD (three-decimal).
+ * Amounts are stored and computed as integers in these units; only API
+ * responses, exports and messages show them in the currency's major unit.
+ */
+
+// Currency of rows and payments that do not name one
+const DEFAULT_CURRENCY = 'INR';
+
+// Currencies Razorpay charges without a decimal part
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG',
+  'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+// Currencies with three decimals; Razorpay needs their amounts to end in 0
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'];
+
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Upper-cased currency code
+ * @param {string} currency
+ */
+function normaliseCurrency(currency) {
+  return String(currency || '').trim().toUpperCase();
+}
+
+/**
+ * Whether a code is an ISO 4217 currency
+ * @param {string} currency
+ */
+function isSupportedCurrency(currency) {
+  return KNOWN_CURRENCIES.has(normaliseCurrency(currency));
+}
+
+/**
+ * Decimal places of a currency's major unit (0, 2 or 3)
+ * @param {string} [currency] - Defaults to DEFAULT_CURRENCY
+ */
+function currencyExponent(currency = DEFAULT_CURRENCY) {
+  const code = normaliseCurrency(currency) || DEFAULT_CURRENCY;
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+}
+
+/**
+ * Smallest step an amount can be charged in, in minor units
+ * (10 for three-decimal currencies, else 1)
+ * @param {string} [currency]
+ */
+function amountStep(currency) {
+  return currencyExponent(currency) === 3 ? 10 : 1;
+}
+
+/**
+ * Smallest order Razorpay accepts: one major unit (₹1, $1, ¥1, 1 KWD)
+ * @param {string} [currency]
+ * @returns {number} Minor units
+ */
+function minimumAmount(currency) {
+  return 10 ** currencyExponent(currency);
+}
+
+/**
+ * Round an amount down to one Razorpay can charge in a currency
+ * @param {number} amount - Minor units
+ * @param {string} [currency]
+ */
+function toChargeable(amount, currency) {
+  const step = amountStep(currency);
+  return Math.floor(amount / step) * step;
+}
+
+/**
+ * Whether an amount is a positive integer Razorpay can charge in a currency
+ * @param {number} amount - Minor units
+ * @param {string} [currency]
+ */
+function isChargeable(amount, currency) {
+  return Number.isInteger(amount) && amount > 0 && amount % amountStep(currency) === 0;
+}
+
+/**
+ * Major units (e.g. "12.50" or 12.5 USD) to minor units (1250), or null when
+ * the value is not a number or has more decimals than the currency allows
+ * @param {number|string} value
+ * @param {string} [currency]
+ * @returns {number|null}
+ */
+function toMinorUnits(value, currency) {
+  const exponent = currencyExponent(currency);
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) return null;
+
+  const [, sign, whole, fraction = ''] = match;
+  const digits = fraction.replace(/0+$/, '');
+  if (digits.length > exponent) return null;
+  const minor = Number(whole) * 10 ** exponent + Number(digits.padEnd(exponent, '0') || 0);
+  return sign ? -minor : minor;
+}
+
+/**
+ * Minor units to the currency's major unit, for API responses and exports
+ * @param {number|string} amount - Minor units; '' and null stay ''
+ * @param {string} [currency]
+ * @returns {number|string}
+ */
+function fromMinorUnits(amount, currency) {
+  if (amount === '' || amount === null || amount === undefined) return '';
+  const exponent = currencyExponent(currency);
+  return Number((Number(amount) / 10 ** exponent).toFixed(exponent));
+}
+
+/**
+ * Amount with its currency symbol, e.g. "₹1,500.00", "$12.50", "¥2,000"
+ * @param {number} amount - Minor units
+ * @param {string} [currency]
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const code = normaliseCurrency(currency) || DEFAULT_CURRENCY;
+  const exponent = currencyExponent(code);
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent
+  }).format(Number(amount || 0) / 10 ** exponent);
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normaliseCurrency,
+  isSupportedCurrency,
+  currencyExponent,
+  amountStep,
+  minimumAmount,
+  toChargeable,
+  isChargeable,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+let tmpCounter = 0;
+
+/**
+ * Directory for local state (event logs, indexes, queues).
+ * Override with DATA_DIR; defaults to <repo>/data.
+ */
+function getDataDir() {
+  const dir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+/**
+ * Resolve a file name inside the data directory
+ * @param {string} fileName
+ */
+function dataPath(fileName) {
+  return path.join(getDataDir(), fileName);
+}
+
+/**
+ * Append one JSON document as a line (JSONL)
+ * @param {string} fileName - File inside the data directory
+ * @param {Object} entry
+ */
+async function appendJsonLine(fileName, entry) {
+  await fs.promises.appendFile(dataPath(fileName), JSON.stringify(entry) + '\n', 'utf8');
+}
+
+/**
+ * Read every JSON line from a JSONL file, skipping corrupt lines
+ * @param {string} fileName - File inside the data directory
+ * @returns {Array<Object>}
+ */
+async function readJsonLines(fileName) {
+  const filePath = dataPath(fileName);
+  if (!fs.existsSync(filePath)) return [];
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      console.warn(`Skipping corrupt line in ${fileName}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read a JSON document, returning the fallback when the file does not exist
+ * @param {string} fileName - File inside the data directory
+ * @param {*} fallback
+ */
+async function readJson(fileName, fallback) {
+  const filePath = dataPath(fileName);
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON document atomically (temp file + rename) so a crash
+ * mid-write never leaves a truncated file behind
+ * @param {string} fileName - File inside the data directory
+ * @param {*} data
+ */
+async function writeJson(fileName, data) {
+  const filePath = dataPath(fileName);
+  const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+module.exports = {
+  getDataDir,
+  dataPath,
+  appendJsonLine,
+  readJsonLines,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,44 @@
+/**
+ * GST settings:
+ *   GST_RATE              - percent, default 18
+ *   GST_PRICES_INCLUSIVE  - course prices already include GST (default true)
+ *   GST_INTRA_STATE       - split tax into CGST + SGST (default true); false charges IGST
+ */
+function getGstConfig() {
+  const rate = process.env.GST_RATE === undefined || process.env.GST_RATE === '' ? 18 : Number(process.env.GST_RATE);
+  return {
+    rate,
+    inclusive: process.env.GST_PRICES_INCLUSIVE !== 'false',
+    intraState: process.env.GST_INTRA_STATE !== 'false'
+  };
+}
+
+/**
+ * Split an amount into taxable value and GST.
+ * Works in minor units (paise) so the parts always add up to the total.
+ * @param {number} amount - Integer minor units
+ * @param {Object} [config] - Defaults to getGstConfig()
+ * @returns {{ rate, taxable, cgst, sgst, igst, tax, total }} Minor units
+ */
+function gstBreakup(amount, config = getGstConfig()) {
+  const { rate, inclusive, intraState } = config;
+  const taxable = inclusive ? Math.round((amount * 100) / (100 + rate)) : amount;
+  const tax = inclusive ? amount - taxable : Math.round((amount * rate) / 100);
+
+  const cgst = intraState ? Math.floor(tax / 2) : 0;
+  const sgst = intraState ? tax - cgst : 0;
+  return {
+    rate,
+    taxable,
+    cgst,
+    sgst,
+    igst: intraState ? 0 : tax,
+    tax,
+    total: taxable + tax
+  };
+}
+
+module.exports = {
+  getGstConfig,
+  gstBreakup
+};
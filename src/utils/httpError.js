@@ -0,0 +1,21 @@
+/**
+ * Error carrying an HTTP status and a stable machine-readable code.
+ * errorHandler turns it into { success: false, error, code, details }.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human-readable message
+   * @param {string} code - Stable error code, e.g. COURSE_NOT_FOUND
+   * @param {Object} [details] - Extra structured data for the client
+   */
+  constructor(status, message, code, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
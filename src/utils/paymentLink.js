@@ -0,0 +1,21 @@
+const { getBaseUrl } = require('./baseUrl');
+
+/**
+ * Razorpay embedded checkout link for an order.
+ * Razorpay calls back to verify-payment on success and cancel-payment when
+ * the student closes the checkout.
+ * @param {string} orderId
+ */
+function buildPaymentLink(orderId) {
+  const baseUrl = getBaseUrl();
+  const params = new URLSearchParams({
+    order_id: orderId,
+    key_id: process.env.RAZORPAY_KEY_ID || '',
+    callback_url: `${baseUrl}/api/payment/verify-payment`,
+    // Razorpay does not add the order to the cancel URL, so it is carried here
+    cancel_url: `${baseUrl}/api/payment/cancel-payment?${new URLSearchParams({ order_id: orderId })}`
+  });
+  return `https://api.razorpay.com/v1/checkout/embedded?${params}`;
+}
+
+module.exports = { buildPaymentLink };
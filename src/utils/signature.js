@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+/**
+ * Compute a hex HMAC-SHA256 of the payload
+ * @param {string|Buffer} payload
+ * @param {string} secret
+ */
+function hmacSha256(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Compare an expected hex signature with the received one in constant time
+ * @param {string|Buffer} payload - Exact bytes that were signed
+ * @param {string} signature - Hex signature received from Razorpay
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function verifySignature(payload, signature, secret) {
+  if (!payload || !signature || !secret || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(hmacSha256(payload, secret), 'utf8');
+  const received = Buffer.from(signature, 'utf8');
+
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  hmacSha256,
+  verifySignature
+};
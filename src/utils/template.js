@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+const cache = new Map();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fill {{name}} placeholders. With escape: true (HTML) values are escaped,
+ * except {{{name}}} which inserts trusted markup as-is. Unknown names render empty.
+ * {{#name}}...{{/name}} keeps its content only when name has a value.
+ * @param {string} source
+ * @param {Object} vars
+ * @param {Object} [options]
+ * @param {boolean} [options.escape]
+ */
+function render(source, vars, { escape = false } = {}) {
+  return source
+    .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, content) => (vars[name] ? content : ''))
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, name) => (vars[name] === undefined ? '' : String(vars[name])))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (vars[name] === undefined || vars[name] === null) return '';
+      return escape ? escapeHtml(vars[name]) : String(vars[name]);
+    });
+}
+
+/**
+ * Read a template file once and keep it in memory
+ * @param {string} file - Absolute path
+ */
+function loadTemplate(file) {
+  if (!cache.has(file)) {
+    cache.set(file, fs.readFileSync(path.resolve(file), 'utf8'));
+  }
+  return cache.get(file);
+}
+
+module.exports = {
+  escapeHtml,
+  render,
+  loadTemplate
+};
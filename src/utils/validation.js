@@ -0,0 +1,75 @@
+const HttpError = require('./httpError');
+
+/**
+ * Minimal schema validator.
+ *
+ * A schema maps field names to rules:
+ *   { required, minLength, maxLength, pattern, oneOf, normalise, message }
+ * normalise(value) runs first (after trimming strings); the other rules
+ * check the normalised value. message overrides the pattern/oneOf error.
+ *
+ * @param {Object} schema
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate fields present in data (edits)
+ * @returns {{ value: Object, errors: Object<string, string> }}
+ */
+function validate(schema, data = {}, { partial = false } = {}) {
+  const value = {};
+  const errors = {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    if (partial && !(field in data)) continue;
+
+    let fieldValue = data[field];
+    if (typeof fieldValue === 'string') fieldValue = fieldValue.trim();
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rules.required) errors[field] = 'is required';
+      else value[field] = '';
+      continue;
+    }
+
+    if (typeof fieldValue !== 'string' && typeof fieldValue !== 'number') {
+      errors[field] = 'must be text';
+      continue;
+    }
+    fieldValue = String(fieldValue);
+    if (rules.normalise) fieldValue = rules.normalise(fieldValue);
+
+    if (rules.minLength && fieldValue.length < rules.minLength) {
+      errors[field] = `must be at least ${rules.minLength} characters`;
+    } else if (rules.maxLength && fieldValue.length > rules.maxLength) {
+      errors[field] = `must be at most ${rules.maxLength} characters`;
+    } else if (rules.pattern && !rules.pattern.test(fieldValue)) {
+      errors[field] = rules.message || 'is not valid';
+    } else if (rules.oneOf && !rules.oneOf.includes(fieldValue)) {
+      errors[field] = rules.message || `must be one of: ${rules.oneOf.join(', ')}`;
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate and return the normalised value, or throw a 400 listing every
+ * invalid field: { code: 'VALIDATION_FAILED', details: { fields: { name: '...' } } }
+ * @param {Object} schema
+ * @param {Object} data
+ * @param {Object} [options] - See validate(), plus:
+ * @param {string} [options.message] - Error message for the response
+ * @throws {HttpError}
+ */
+function validateOrThrow(schema, data, { message = 'Invalid request', ...options } = {}) {
+  const { value, errors } = validate(schema, data, options);
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, message, 'VALIDATION_FAILED', { fields: errors });
+  }
+  return value;
+}
+
+module.exports = {
+  validate,
+  validateOrThrow
+};
@@ -0,0 +1,69 @@
+/**
+ * Schema for the registration formData sent to appendForm
+ * (see utils/validation.js for the rule format).
+ */
+const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced', 'professional'];
+// Opt-in for SMS / WhatsApp updates; empty or "none" means email only
+const MESSAGING_CHANNELS = ['whatsapp', 'sms', 'none'];
+
+const registrationFormSchema = {
+  name: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    normalise: (value) => value.replace(/\s+/g, ' '),
+    pattern: /^[\p{L}\p{M} .'-]+$/u,
+    message: 'may only contain letters, spaces, dots, apostrophes and hyphens'
+  },
+  mobile: {
+    required: true,
+    // Accept +91 / 91 / 0 prefixes, spaces, dashes and brackets; store Indian
+    // numbers as their 10 digits and others in E.164 (+ country code)
+    normalise: (value) => value.replace(/[\s()-]/g, '').replace(/^(\+91|91|0)(?=\d{10}$)/, ''),
+    pattern: /^(?:[6-9]\d{9}|\+(?!91)[1-9]\d{6,14})$/,
+    message: 'must be a valid 10-digit Indian mobile number, or an international number starting with + and the country code'
+  },
+  email: {
+    required: true,
+    maxLength: 254,
+    normalise: (value) => value.toLowerCase(),
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/,
+    message: 'must be a valid email address'
+  },
+  city: {
+    required: true,
+    minLength: 2,
+    maxLength: 60,
+    normalise: (value) => value.replace(/\s+/g, ' '),
+    pattern: /^[\p{L}\p{M} .'-]+$/u,
+    message: 'may only contain letters, spaces, dots, apostrophes and hyphens'
+  },
+  // ISO 3166 alpha-2 country the student lives in; picks the currency they pay in
+  country: {
+    normalise: (value) => value.toUpperCase(),
+    pattern: /^[A-Z]{2}$/,
+    message: 'must be a two-letter country code, e.g. IN or US'
+  },
+  experience: {
+    required: true,
+    normalise: (value) => value.toLowerCase(),
+    oneOf: EXPERIENCE_LEVELS
+  },
+  messagingChannel: {
+    normalise: (value) => value.toLowerCase(),
+    oneOf: MESSAGING_CHANNELS
+  },
+  // Marketing campaign the student came from (e.g. utm_campaign); picks redirect targets
+  campaign: {
+    maxLength: 50,
+    normalise: (value) => value.toLowerCase(),
+    pattern: /^[a-z0-9_-]+$/,
+    message: 'may only contain letters, numbers, underscores and hyphens'
+  }
+};
+
+module.exports = {
+  EXPERIENCE_LEVELS,
+  MESSAGING_CHANNELS,
+  registrationFormSchema
+};